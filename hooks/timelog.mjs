@@ -6,12 +6,14 @@
 
 import {
   readFileSync,
+  writeFileSync,
   appendFileSync,
   mkdirSync,
   openSync,
   readSync,
   statSync,
   closeSync,
+  rmSync,
 } from 'node:fs';
 import {
   join, basename,
@@ -22,35 +24,50 @@ import {
 } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
 import {
+  ACTIVITY_EVENTS,
+  ENTRY_CONFIG_KEYS,
   TIMELOG_DIR,
+  configKey,
   loadConfig,
   matchTicket,
-  extractProjectFromPath,
   extractFilePaths,
+  extractModel,
+  extractUsage,
+  isUserPrompt,
+  lastTurnUsage,
+  matchProjectPath,
+  projectRules,
+  resolveClient,
+  resolveProjectAlias,
+  toolInputPaths,
 } from '../lib/config.mjs';
+import { dateKey } from '../lib/dates.mjs';
+import {
+  headCommit,
+  originRemote,
+  repoNameFromCwd,
+} from '../lib/git.mjs';
 
 // ── Pure functions ──────────────────────
 
-function detectProjectFromCwd(cwd, cfg) {
+// git-remote names the project after the
+// origin remote (org/repo), falling back to
+// the repository name. Pass the remote when
+// already known to skip a git call.
+function detectProjectFromCwd(
+  cwd, cfg, remote
+) {
   if (cfg.projectSource === 'cwd') {
     return basename(cwd);
   }
-  try {
-    const root = execFileSync(
-      'git',
-      ['rev-parse', '--show-toplevel'],
-      {
-        cwd,
-        encoding: 'utf8',
-        stdio: [
-          'pipe', 'pipe', 'ignore',
-        ],
-      }
-    ).trim();
-    return basename(root || cwd);
-  } catch {
-    return basename(cwd);
+  if (cfg.projectSource === 'git-remote') {
+    const slug = remote === undefined
+      ? originRemote(cwd)
+      : remote;
+    if (slug) return slug;
   }
+  return repoNameFromCwd(cwd) ||
+    basename(cwd);
 }
 
 // Read the tail of the session transcript
@@ -81,49 +98,295 @@ function readTail(filePath) {
   }
 }
 
-function detectProjectFromTranscript(
-  cwd, sessionId, cfg
-) {
-  if (!cfg.projectPattern) return null;
+function transcriptPath(cwd, sessionId) {
   const encoded =
     cwd.replace(/\//g, '-');
-  const transcript = join(
+  return join(
     homedir(), '.claude', 'projects',
     encoded, `${sessionId}.jsonl`
   );
-  const tail = readTail(transcript);
-  if (!tail) return null;
+}
 
-  const lines = tail.split('\n');
-  for (
-    let i = lines.length - 1;
-    i >= 0;
-    i--
-  ) {
-    if (!lines[i].trim()) continue;
-    let rec;
+// Parsed transcript tail, oldest first. The
+// first line is usually cut mid-record and
+// is dropped by the JSON parse.
+function readTailRecords(cwd, sessionId) {
+  const tail = readTail(
+    transcriptPath(cwd, sessionId)
+  );
+  const records = [];
+  for (const line of tail.split('\n')) {
+    if (!line.trim()) continue;
     try {
-      rec = JSON.parse(lines[i]);
+      records.push(JSON.parse(line));
     } catch {
-      continue;
+      // partial first line
     }
-    for (
-      const fp of extractFilePaths(rec)
-    ) {
-      const proj =
-        extractProjectFromPath(fp, cfg);
-      if (proj) return proj;
+  }
+  return records;
+}
+
+// Walk the file backwards in TAIL_BYTES
+// chunks, calling visit(record) newest
+// first, until it returns a value, `limit`
+// records have been seen or the `stop`
+// byte offset is reached. A large tool
+// result can fill a whole chunk, so one
+// fixed-size tail is not always enough.
+const SCAN_RECORD_LIMIT = 500;
+
+function scanBackwards(
+  filePath, visit, opts = {}
+) {
+  const limit =
+    opts.limit ?? SCAN_RECORD_LIMIT;
+  const stop = opts.stop || 0;
+  let fd;
+  try {
+    fd = openSync(filePath, 'r');
+    let pos = opts.size ??
+      statSync(filePath).size;
+    let carry = Buffer.alloc(0);
+    let seen = 0;
+    while (pos > stop) {
+      const len =
+        Math.min(TAIL_BYTES, pos - stop);
+      pos -= len;
+      const buf = Buffer.alloc(len);
+      readSync(fd, buf, 0, len, pos);
+      const data = Buffer.concat(
+        [buf, carry]
+      );
+      // Until the scan reaches `stop`, the
+      // first line may be cut mid-record;
+      // keep it for the next chunk.
+      let from = 0;
+      if (pos > stop) {
+        from = data.indexOf(10) + 1;
+        if (from === 0) {
+          carry = data;
+          continue;
+        }
+      }
+      carry = data.subarray(0, from);
+      const lines = data
+        .subarray(from)
+        .toString('utf8')
+        .split('\n');
+      for (
+        let i = lines.length - 1;
+        i >= 0;
+        i--
+      ) {
+        if (!lines[i].trim()) continue;
+        let rec;
+        try {
+          rec = JSON.parse(lines[i]);
+        } catch {
+          continue;
+        }
+        const found = visit(rec);
+        if (found != null) return found;
+        if (++seen >= limit) return null;
+      }
     }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+// Last detected project per session, with
+// the transcript size it was read at, so
+// the next hook call only parses what was
+// appended since, and the fields of the
+// last full event (`entry`) for activity
+// events to reuse. One small file per
+// session keeps concurrent sessions from
+// overwriting each other. A state written
+// under other project or ticket settings
+// is ignored.
+function sessionStatePath(stateDir, sessionId) {
+  return join(
+    stateDir, 'sessions', `${sessionId}.json`
+  );
+}
+
+function sessionConfigKey(cfg) {
+  return configKey(cfg, [
+    ...ENTRY_CONFIG_KEYS, 'projectSource',
+  ]);
+}
+
+function readSessionState(
+  stateDir, sessionId, cfg
+) {
+  try {
+    const state = JSON.parse(readFileSync(
+      sessionStatePath(stateDir, sessionId),
+      'utf8'
+    ));
+    return state.config ===
+      sessionConfigKey(cfg)
+      ? state
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeSessionState(
+  stateDir, sessionId, state
+) {
+  try {
+    mkdirSync(
+      join(stateDir, 'sessions'),
+      { recursive: true }
+    );
+    writeFileSync(
+      sessionStatePath(stateDir, sessionId),
+      JSON.stringify(state) + '\n'
+    );
+  } catch {
+    // cache only — never block the hook
+  }
+}
+
+function updateSessionState(
+  stateDir, sessionId, cfg, fields
+) {
+  writeSessionState(stateDir, sessionId, {
+    ...readSessionState(
+      stateDir, sessionId, cfg
+    ),
+    ...fields,
+    config: sessionConfigKey(cfg),
+  });
+}
+
+function clearSessionState(stateDir, sessionId) {
+  try {
+    rmSync(
+      sessionStatePath(stateDir, sessionId),
+      { force: true }
+    );
+  } catch {
+    // cache only — never block the hook
+  }
+}
+
+// Latest file path in the transcript that
+// matches a project rule, as { project,
+// client }. With a stateDir, the cached
+// match is reused when nothing appended
+// since the last call names a matching path.
+function detectPathMatch(
+  cwd, sessionId, cfg, stateDir
+) {
+  if (!projectRules(cfg).length) return null;
+  const file =
+    transcriptPath(cwd, sessionId);
+  let size;
+  try {
+    size = statSync(file).size;
+  } catch {
+    return null;
+  }
+  const cached = stateDir
+    ? readSessionState(
+      stateDir, sessionId, cfg
+    )
+    : null;
+  const fresh =
+    cached && cached.size <= size;
+  const found = scanBackwards(
+    file,
+    (rec) => {
+      for (
+        const fp of extractFilePaths(rec)
+      ) {
+        const m = matchProjectPath(fp, cfg);
+        if (m) return m;
+      }
+      return null;
+    },
+    { size, stop: fresh ? cached.size : 0 }
+  );
+  const match = found ||
+    (fresh && cached.project
+      ? {
+        project: cached.project,
+        client: cached.client || null,
+      }
+      : null);
+  if (stateDir) {
+    updateSessionState(stateDir, sessionId, cfg, {
+      size,
+      project: match?.project ?? null,
+      client: match?.client ?? null,
+    });
+  }
+  return match;
+}
+
+function detectProjectFromTranscript(
+  cwd, sessionId, cfg, stateDir
+) {
+  return detectPathMatch(
+    cwd, sessionId, cfg, stateDir
+  )?.project ?? null;
+}
+
+// The most recent assistant message (or
+// `/model` switch) in the transcript tail
+// gives the model in use right now.
+function detectModelFromTranscript(
+  cwd, sessionId
+) {
+  const records =
+    readTailRecords(cwd, sessionId);
+  for (
+    let i = records.length - 1;
+    i >= 0;
+    i--
+  ) {
+    const model = extractModel(records[i]);
+    if (model) return model;
   }
   return null;
 }
 
+// Token usage of the turn that just
+// finished, recorded on the event closing
+// it. Reports de-duplicate on `turn`, so
+// the scan walks back to the turn's own
+// prompt however large its tool results.
+function detectTurnUsage(cwd, sessionId) {
+  const records = [];
+  let replied = false;
+  scanBackwards(
+    transcriptPath(cwd, sessionId),
+    (rec) => {
+      records.push(rec);
+      if (isUserPrompt(rec)) {
+        return replied ? true : null;
+      }
+      if (extractUsage(rec)) replied = true;
+      return null;
+    },
+    { limit: Infinity }
+  );
+  return lastTurnUsage(records.reverse());
+}
+
 function detectProject(
-  cwd, sessionId, cfg
+  cwd, sessionId, cfg, stateDir
 ) {
   const fromPaths =
     detectProjectFromTranscript(
-      cwd, sessionId, cfg
+      cwd, sessionId, cfg, stateDir
     );
   if (fromPaths) return fromPaths;
   return detectProjectFromCwd(cwd, cfg);
@@ -149,6 +412,83 @@ function detectTicket(cwd, cfg) {
   }
 }
 
+// Project, client, ticket and git fields of
+// an event. A tool call's own file path
+// wins over the transcript scan.
+function detectEntryFields(
+  cwd, sessionId, cfg, stateDir, file
+) {
+  const match =
+    matchProjectPath(file, cfg) ||
+    detectPathMatch(
+      cwd, sessionId, cfg, stateDir
+    );
+  const remote = originRemote(cwd);
+  const rawProject =
+    match?.project ||
+    detectProjectFromCwd(cwd, cfg, remote);
+  const project =
+    resolveProjectAlias(rawProject, cfg);
+  return {
+    project,
+    rawProject:
+      project !== rawProject
+        ? rawProject
+        : null,
+    client:
+      match?.client ||
+      resolveClient(project, cfg),
+    remote,
+    commit: headCommit(cwd),
+    ticket: detectTicket(cwd, cfg),
+  };
+}
+
+// Activity events reuse the fields cached
+// by the session's last full event, so they
+// cost no git calls or transcript reads.
+// A file matching a project rule still
+// names its project.
+function activityFields(cached, file, cfg) {
+  const match = matchProjectPath(file, cfg);
+  if (!match) return cached;
+  const project =
+    resolveProjectAlias(match.project, cfg);
+  return {
+    ...cached,
+    project,
+    rawProject:
+      project !== match.project
+        ? match.project
+        : null,
+    client:
+      match.client ||
+      resolveClient(project, cfg),
+  };
+}
+
+// Shell commands can commit, and a turn's
+// commits land before its Stop, so those
+// events re-read HEAD instead of trusting
+// the cached SHA.
+function refreshesCommit(event, tool) {
+  return event === 'Stop' || (
+    event === 'PostToolUse' &&
+    tool === 'Bash'
+  );
+}
+
+// Name and first file path of a tool call,
+// from the PreToolUse/PostToolUse input.
+function toolActivity(input) {
+  return {
+    tool: input.tool_name || null,
+    file:
+      toolInputPaths(input.tool_input)[0] ||
+      null,
+  };
+}
+
 function stripNulls(obj) {
   return Object.fromEntries(
     Object.entries(obj)
@@ -160,8 +500,17 @@ function stripNulls(obj) {
 
 export {
   detectProjectFromCwd,
+  detectPathMatch,
   detectProjectFromTranscript,
+  detectModelFromTranscript,
+  detectTurnUsage,
   detectProject,
+  scanBackwards,
+  SCAN_RECORD_LIMIT,
+  sessionConfigKey,
+  refreshesCommit,
+  toolActivity,
+  activityFields,
   detectTicket,
   readTail,
   stripNulls,
@@ -175,6 +524,8 @@ if (
   fileURLToPath(import.meta.url)
 ) {
   const config = loadConfig();
+  const stateDir =
+    join(TIMELOG_DIR, '.state');
 
   const input = JSON.parse(
     readFileSync(
@@ -186,20 +537,73 @@ if (
     input.cwd || process.cwd();
   const sessionId = input.session_id;
 
+  const activity =
+    ACTIVITY_EVENTS.has(event);
+  const tool = activity
+    ? toolActivity(input)
+    : {};
+
+  const cached = activity
+    ? readSessionState(
+      stateDir, sessionId, config
+    )?.entry
+    : null;
+  let fields = cached
+    ? activityFields(
+      cached, tool.file, config
+    )
+    : detectEntryFields(
+      cwd, sessionId, config, stateDir,
+      tool.file
+    );
+  if (!cached) {
+    updateSessionState(
+      stateDir, sessionId, config,
+      { entry: fields }
+    );
+  } else if (
+    refreshesCommit(event, tool.tool)
+  ) {
+    const commit = headCommit(cwd);
+    if (commit !== cached.commit) {
+      fields = { ...fields, commit };
+      updateSessionState(
+        stateDir, sessionId, config,
+        { entry: { ...cached, commit } }
+      );
+    }
+  }
+
   const entry = {
     ts: new Date().toISOString(),
     event,
     session: sessionId,
-    project: detectProject(
-      cwd, sessionId, config
-    ),
-    ticket: detectTicket(cwd, config),
+    ...fields,
+    model: activity
+      ? null
+      : detectModelFromTranscript(
+        cwd, sessionId
+      ),
+    ...tool,
     cwd,
   };
 
+  if (
+    event === 'UserPromptSubmit' ||
+    event === 'SessionEnd'
+  ) {
+    const usage =
+      detectTurnUsage(cwd, sessionId);
+    if (usage) {
+      entry.turn = usage.turn;
+      entry.tokens = usage.tokens;
+    }
+  }
+
   switch (event) {
     case 'SessionStart':
-      entry.model = input.model;
+      entry.model =
+        input.model || entry.model;
       entry.source = input.source;
       break;
     case 'UserPromptSubmit':
@@ -218,6 +622,9 @@ if (
       break;
     case 'SessionEnd':
       entry.reason = input.reason;
+      clearSessionState(
+        stateDir, sessionId
+      );
       break;
   }
 
@@ -225,7 +632,7 @@ if (
     TIMELOG_DIR, { recursive: true }
   );
   const date =
-    new Date().toISOString().slice(0, 10);
+    dateKey(new Date(), config.timezone);
   const logFile =
     join(TIMELOG_DIR, `${date}.jsonl`);
 
@@ -2,9 +2,11 @@
 // Reads ${TIMELOG_DIR}/config.json if present,
 // merging with defaults.
 
+import { createHash } from 'node:crypto';
 import { readFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
+import { isValidTimezone } from './dates.mjs';
 
 const TIMELOG_DIR =
   process.env.CLAUDE_TIMELOG_DIR ||
@@ -21,6 +23,134 @@ const DEFAULT_CONFIG = {
 const NESTED_QUANT_RE =
   /\([^)]*[+*][^)]*\)[+*]/;
 
+const CURRENCY_RE = /^[A-Z]{3}$/;
+
+const PROJECT_SOURCES = [
+  'git-root', 'git-remote', 'cwd',
+];
+
+const ROUNDING_MODES = [
+  'up', 'nearest', 'down',
+];
+const ROUNDING_SCOPES = [
+  'slice', 'day', 'line',
+];
+
+const OVERLAP_POLICIES = [
+  'sum', 'first', 'split',
+];
+
+// Tool and stop hooks fire many times per
+// prompt. They only mark Claude as still
+// working: the hook logs them without git
+// calls or transcript reads, and reports
+// treat them as activity, not prompts.
+const ACTIVITY_EVENTS = new Set([
+  'PreToolUse',
+  'PostToolUse',
+  'Stop',
+  'SubagentStop',
+]);
+
+// Named periods accepted as --<name> report
+// flags and as a defaultReport shorthand.
+// Current periods run up to today; "last-*"
+// periods are complete.
+const PERIODS = [
+  'today', 'yesterday',
+  'week', 'last-week',
+  'month', 'last-month',
+  'quarter', 'last-quarter',
+  'year',
+];
+
+// Report args for a string defaultReport
+// such as "last-week" or "since 10d", or
+// null when it names no period.
+function periodArgs(value) {
+  const [name, ...rest] =
+    value.trim().split(/\s+/);
+  if (
+    !PERIODS.includes(name) &&
+    name !== 'since'
+  ) {
+    return null;
+  }
+  return [`--${name}`, ...rest];
+}
+
+// Settings that shape the project, client,
+// ticket and day of an entry. Caches built
+// under them (backfill state, the hook's
+// session state) are keyed by their hash
+// and dropped when it changes.
+const ENTRY_CONFIG_KEYS = [
+  'ticketPatterns',
+  'projectPattern',
+  'projectPatterns',
+  'projectAliases',
+  'clients',
+  'timezone',
+];
+
+function configKey(
+  config, keys = ENTRY_CONFIG_KEYS
+) {
+  const picked = keys.map(
+    (k) => config[k] ?? null
+  );
+  return createHash('sha256')
+    .update(JSON.stringify(picked))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+// Index matches Date#getDay (0 = Sunday)
+const WEEKDAYS = [
+  'sunday', 'monday', 'tuesday',
+  'wednesday', 'thursday', 'friday',
+  'saturday',
+];
+
+function isPlainObject(v) {
+  return (
+    v !== null &&
+    typeof v === 'object' &&
+    !Array.isArray(v)
+  );
+}
+
+// Keep only non-negative numeric rates;
+// report the rest and drop them.
+function validateRateMap(map, label) {
+  if (!isPlainObject(map)) {
+    console.error(
+      `timelog: ${label} must be ` +
+      'an object. Ignoring.'
+    );
+    return {};
+  }
+  const out = {};
+  for (const [key, val] of Object.entries(map)) {
+    const rate = Number(val);
+    if (
+      typeof val === 'boolean' ||
+      val === null ||
+      !Number.isFinite(rate) ||
+      rate < 0
+    ) {
+      console.error(
+        `timelog: ${label}.${key} ` +
+        'must be a non-negative number. ' +
+        'Ignoring.'
+      );
+      continue;
+    }
+    out[key] = rate;
+  }
+  return out;
+}
+
 function validateConfig(cfg) {
   const result = { ...cfg };
 
@@ -60,29 +190,39 @@ function validateConfig(cfg) {
     }
   }
 
-  // projectSource: 'git-root' | 'cwd'
+  // projectSource: 'git-root' | 'cwd' |
+  // 'git-remote'
   if (
     'projectSource' in result &&
-    result.projectSource !== 'git-root' &&
-    result.projectSource !== 'cwd'
+    !PROJECT_SOURCES.includes(
+      result.projectSource
+    )
   ) {
     console.error(
       'timelog: projectSource must be ' +
-      "'git-root' or 'cwd'. " +
+      "'git-root', 'git-remote' or 'cwd'. " +
       'Using default.'
     );
     result.projectSource =
       DEFAULT_CONFIG.projectSource;
   }
 
-  // defaultReport: array of strings
+  // defaultReport: array of strings, or a
+  // period name ("last-week", "since 10d")
   if ('defaultReport' in result) {
     if (
+      typeof result.defaultReport ===
+        'string' &&
+      periodArgs(result.defaultReport)
+    ) {
+      // Expanded by bin/claudelog
+    } else if (
       !Array.isArray(result.defaultReport)
     ) {
       console.error(
         'timelog: defaultReport must be ' +
-        'an array. Ignoring.'
+        'an array or a period name. ' +
+        'Ignoring.'
       );
       delete result.defaultReport;
     } else {
@@ -93,6 +233,188 @@ function validateConfig(cfg) {
     }
   }
 
+  // rates: { currency, projects, tickets }
+  if ('rates' in result) {
+    if (!isPlainObject(result.rates)) {
+      console.error(
+        'timelog: rates must be an ' +
+        'object. Ignoring.'
+      );
+      delete result.rates;
+    } else {
+      const rates = { ...result.rates };
+      if (
+        'currency' in rates &&
+        !CURRENCY_RE.test(rates.currency)
+      ) {
+        console.error(
+          'timelog: rates.currency must ' +
+          'be a 3-letter code (e.g. USD).' +
+          ' Ignoring.'
+        );
+        delete rates.currency;
+      }
+      for (
+        const key of ['projects', 'tickets']
+      ) {
+        if (key in rates) {
+          rates[key] = validateRateMap(
+            rates[key], `rates.${key}`
+          );
+        }
+      }
+      result.rates = rates;
+    }
+  }
+
+  // prices: { currency, models } where each
+  // model maps token kinds to a price per
+  // million tokens
+  if ('prices' in result) {
+    if (!isPlainObject(result.prices)) {
+      console.error(
+        'timelog: prices must be an ' +
+        'object. Ignoring.'
+      );
+      delete result.prices;
+    } else {
+      const prices = { ...result.prices };
+      if (
+        'currency' in prices &&
+        !CURRENCY_RE.test(prices.currency)
+      ) {
+        console.error(
+          'timelog: prices.currency must ' +
+          'be a 3-letter code (e.g. USD).' +
+          ' Ignoring.'
+        );
+        delete prices.currency;
+      }
+      const models = {};
+      if (!isPlainObject(prices.models)) {
+        console.error(
+          'timelog: prices.models must be ' +
+          'an object. Ignoring.'
+        );
+      } else {
+        for (
+          const [name, table] of
+          Object.entries(prices.models)
+        ) {
+          models[name] = validateRateMap(
+            table, `prices.models.${name}`
+          );
+        }
+      }
+      prices.models = models;
+      result.prices = prices;
+    }
+  }
+
+  // rounding: { increment, mode, scope }
+  if ('rounding' in result) {
+    const r = result.rounding;
+    const inc = Number(r?.increment);
+    if (r == null) {
+      delete result.rounding;
+    } else if (!isPlainObject(r)) {
+      console.error(
+        'timelog: rounding must be an ' +
+        'object. Ignoring.'
+      );
+      delete result.rounding;
+    } else if (
+      !Number.isInteger(inc) ||
+      inc < 1 ||
+      inc > 1440
+    ) {
+      console.error(
+        'timelog: rounding.increment must ' +
+        'be 1-1440 (minutes). Ignoring.'
+      );
+      delete result.rounding;
+    } else {
+      let mode = r.mode ?? 'nearest';
+      if (!ROUNDING_MODES.includes(mode)) {
+        console.error(
+          'timelog: rounding.mode must be ' +
+          "'up', 'nearest' or 'down'. " +
+          'Using nearest.'
+        );
+        mode = 'nearest';
+      }
+      let scope = r.scope ?? 'line';
+      if (!ROUNDING_SCOPES.includes(scope)) {
+        console.error(
+          'timelog: rounding.scope must be ' +
+          "'slice', 'day' or 'line'. " +
+          'Using line.'
+        );
+        scope = 'line';
+      }
+      result.rounding = {
+        increment: inc, mode, scope,
+      };
+    }
+  }
+
+  // timezone: IANA name, default system zone
+  if (
+    'timezone' in result &&
+    result.timezone != null &&
+    !isValidTimezone(result.timezone)
+  ) {
+    console.error(
+      'timelog: timezone must be an IANA ' +
+      "name (e.g. 'Europe/London'). " +
+      'Using system timezone.'
+    );
+    delete result.timezone;
+  }
+
+  // weekStart: day name or 0-6, stored as
+  // a number (0 = Sunday)
+  if ('weekStart' in result) {
+    const w = result.weekStart;
+    let day = -1;
+    if (typeof w === 'string') {
+      day = WEEKDAYS.indexOf(
+        w.toLowerCase()
+      );
+    } else if (
+      Number.isInteger(w) &&
+      w >= 0 && w <= 6
+    ) {
+      day = w;
+    }
+    if (day === -1) {
+      console.error(
+        'timelog: weekStart must be a day ' +
+        "name (e.g. 'sunday') or 0-6. " +
+        'Using monday.'
+      );
+      delete result.weekStart;
+    } else {
+      result.weekStart = day;
+    }
+  }
+
+  // overlapPolicy: how concurrent sessions
+  // share wall-clock time
+  if (
+    'overlapPolicy' in result &&
+    !OVERLAP_POLICIES.includes(
+      result.overlapPolicy
+    )
+  ) {
+    console.error(
+      'timelog: overlapPolicy must be ' +
+      "'sum', 'first' or 'split'. " +
+      'Using sum.'
+    );
+    delete result.overlapPolicy;
+  }
+
   // projectPattern: reject ReDoS patterns
   if (
     result.projectPattern &&
@@ -108,9 +430,242 @@ function validateConfig(cfg) {
     result.projectPattern = null;
   }
 
+  // projectPatterns: ordered rules, each a
+  // regex string or { pattern, name, client,
+  // label }. Bad rules are dropped so the
+  // rest still apply.
+  if ('projectPatterns' in result) {
+    if (!Array.isArray(result.projectPatterns)) {
+      console.error(
+        'timelog: projectPatterns must be ' +
+        'an array. Ignoring.'
+      );
+      delete result.projectPatterns;
+    } else {
+      result.projectPatterns =
+        result.projectPatterns
+          .map(validateProjectRule)
+          .filter(Boolean);
+    }
+  }
+
+  // projectAliases: { raw: canonical }, a
+  // raw key written /like this/ is a regex
+  if ('projectAliases' in result) {
+    if (!isPlainObject(result.projectAliases)) {
+      console.error(
+        'timelog: projectAliases must be ' +
+        'an object. Ignoring.'
+      );
+      delete result.projectAliases;
+    } else {
+      const aliases = {};
+      for (
+        const [raw, canonical] of
+        Object.entries(result.projectAliases)
+      ) {
+        if (
+          typeof canonical !== 'string' ||
+          !canonical
+        ) {
+          console.error(
+            `timelog: projectAliases.${raw} ` +
+            'must be a project name. Ignoring.'
+          );
+          continue;
+        }
+        if (!isNamePattern(raw)) {
+          console.error(
+            `timelog: projectAliases key ${raw}` +
+            ' is not a safe regex. Ignoring.'
+          );
+          continue;
+        }
+        aliases[raw] = canonical;
+      }
+      result.projectAliases = aliases;
+    }
+  }
+
+  // clients: { client: [project, …] }, a
+  // project written /like this/ is a regex
+  if ('clients' in result) {
+    if (!isPlainObject(result.clients)) {
+      console.error(
+        'timelog: clients must be an ' +
+        'object. Ignoring.'
+      );
+      delete result.clients;
+    } else {
+      const clients = {};
+      for (
+        const [client, list] of
+        Object.entries(result.clients)
+      ) {
+        const names = typeof list === 'string'
+          ? [list]
+          : list;
+        if (!Array.isArray(names)) {
+          console.error(
+            `timelog: clients.${client} must ` +
+            'be a list of projects. Ignoring.'
+          );
+          continue;
+        }
+        clients[client] = names.filter((n) => {
+          const ok = isNamePattern(n);
+          if (!ok) {
+            console.error(
+              `timelog: clients.${client} ` +
+              `entry ${JSON.stringify(n)} is ` +
+              'not a project name or safe ' +
+              'regex. Ignoring.'
+            );
+          }
+          return ok;
+        });
+      }
+      result.clients = clients;
+    }
+  }
+
   return result;
 }
 
+// RegExp for a /regex/ alias key, null when
+// it does not compile, undefined for an
+// exact name.
+function aliasPattern(key) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(key);
+  if (!m) return undefined;
+  try {
+    // Stateful flags would make test()
+    // alternate between calls
+    return new RegExp(
+      m[1], m[2].replace(/[gy]/g, '')
+    );
+  } catch {
+    return null;
+  }
+}
+
+// A project name, or a /regex/ that
+// compiles and is ReDoS-safe.
+function isNamePattern(n) {
+  if (typeof n !== 'string' || !n) {
+    return false;
+  }
+  const re = aliasPattern(n);
+  return re === undefined ||
+    (re !== null &&
+      !NESTED_QUANT_RE.test(re.source));
+}
+
+const ALIAS_RES = new Map();
+
+function cachedPattern(key) {
+  if (!ALIAS_RES.has(key)) {
+    ALIAS_RES.set(key, aliasPattern(key));
+  }
+  return ALIAS_RES.get(key);
+}
+
+// Canonical name for a project: an exact
+// alias first, then the first /regex/ key
+// that matches. Unaliased names pass
+// through unchanged.
+function resolveProjectAlias(name, config) {
+  const aliases = config.projectAliases;
+  if (!name || !aliases) return name;
+  if (
+    Object.hasOwn(aliases, name) &&
+    aliasPattern(name) === undefined
+  ) {
+    return aliases[name];
+  }
+  for (
+    const [key, canonical] of
+    Object.entries(aliases)
+  ) {
+    const re = cachedPattern(key);
+    if (re && re.test(name)) return canonical;
+  }
+  return name;
+}
+
+// Client owning a project under
+// config.clients: exact names first, then
+// /regex/ entries in order. null when no
+// client lists it.
+function resolveClient(project, config) {
+  const clients = config.clients;
+  if (!project || !clients) return null;
+  const lists = Object.entries(clients);
+  for (const [client, names] of lists) {
+    if (names.includes(project)) {
+      return client;
+    }
+  }
+  for (const [client, names] of lists) {
+    for (const n of names) {
+      const re = cachedPattern(n);
+      if (re && re.test(project)) {
+        return client;
+      }
+    }
+  }
+  return null;
+}
+
+const RULE_FIELDS = ['name', 'client', 'label'];
+
+function validateProjectRule(rule, i) {
+  const r = typeof rule === 'string'
+    ? { pattern: rule }
+    : isPlainObject(rule)
+      ? { ...rule }
+      : null;
+  const tag = r?.label
+    ? `projectPatterns[${i}] (${r.label})`
+    : `projectPatterns[${i}]`;
+  if (!r || typeof r.pattern !== 'string') {
+    console.error(
+      `timelog: ${tag} needs a pattern ` +
+      'string. Ignoring.'
+    );
+    return null;
+  }
+  if (NESTED_QUANT_RE.test(r.pattern)) {
+    console.error(
+      `timelog: ${tag} has nested ` +
+      'quantifiers (ReDoS risk). Ignoring.'
+    );
+    return null;
+  }
+  try {
+    new RegExp(r.pattern);
+  } catch {
+    console.error(
+      `timelog: ${tag} is not a valid ` +
+      'regex. Ignoring.'
+    );
+    return null;
+  }
+  for (const key of RULE_FIELDS) {
+    if (
+      key in r &&
+      (typeof r[key] !== 'string' || !r[key])
+    ) {
+      console.error(
+        `timelog: ${tag}.${key} must be ` +
+        'a non-empty string. Ignoring.'
+      );
+      delete r[key];
+    }
+  }
+  return r;
+}
+
 function loadConfig() {
   const configPath =
     join(TIMELOG_DIR, 'config.json');
@@ -143,31 +698,103 @@ function matchTicket(text, config) {
   return null;
 }
 
-function extractProjectFromPath(
-  filePath, config
-) {
-  if (
-    !filePath ||
-    !config.projectPattern
-  ) {
-    return null;
-  }
-  try {
-    const re = new RegExp(
-      config.projectPattern
+// projectPatterns in order, then the legacy
+// single projectPattern as a last rule.
+function projectRules(config) {
+  const rules = (config.projectPatterns || [])
+    .map((r) =>
+      typeof r === 'string' ? { pattern: r } : r
     );
-    const m = filePath.match(re);
-    if (m) return m[1] || m[0];
-  } catch {
-    // Invalid regex — skip
+  if (config.projectPattern) {
+    rules.push({
+      pattern: config.projectPattern,
+    });
+  }
+  return rules;
+}
+
+const RULE_RES = new Map();
+
+function ruleRegExp(pattern) {
+  if (!RULE_RES.has(pattern)) {
+    let re = null;
+    try {
+      re = new RegExp(pattern);
+    } catch {
+      // Invalid regex — skip
+    }
+    RULE_RES.set(pattern, re);
+  }
+  return RULE_RES.get(pattern);
+}
+
+// Fill $1, $2 … and $<name> from a match.
+// Groups that did not take part expand to
+// an empty string.
+function expandTemplate(template, m) {
+  return template.replace(
+    /\$(?:(\d+)|<(\w+)>)/g,
+    (_, n, name) =>
+      (n !== undefined
+        ? m[Number(n)]
+        : m.groups?.[name]) ?? ''
+  );
+}
+
+// First rule matching filePath, as
+// { project, client, label }. Without a
+// name template the first capture group
+// (or the whole match) is the project.
+function matchProjectPath(filePath, config) {
+  if (!filePath) return null;
+  for (const rule of projectRules(config)) {
+    const re = ruleRegExp(rule.pattern);
+    const m = re && filePath.match(re);
+    if (!m) continue;
+    const project = rule.name
+      ? expandTemplate(rule.name, m)
+      : m[1] || m[0];
+    if (!project) continue;
+    return {
+      project,
+      client: rule.client
+        ? expandTemplate(rule.client, m) ||
+          null
+        : null,
+      label: rule.label || null,
+    };
   }
   return null;
 }
 
+function extractProjectFromPath(
+  filePath, config
+) {
+  return matchProjectPath(
+    filePath, config
+  )?.project ?? null;
+}
+
 const FILE_PATH_KEYS = [
   'file_path', 'path', 'notebook_path',
 ];
 
+// Absolute paths in one tool call's input,
+// as found in transcripts (tool_use.input)
+// and tool hooks (tool_input).
+function toolInputPaths(input) {
+  const paths = [];
+  for (const key of FILE_PATH_KEYS) {
+    if (
+      typeof input?.[key] === 'string' &&
+      input[key].startsWith('/')
+    ) {
+      paths.push(input[key]);
+    }
+  }
+  return paths;
+}
+
 function extractFilePaths(record) {
   const paths = [];
   const content =
@@ -179,26 +806,184 @@ function extractFilePaths(record) {
     if (block.type !== 'tool_use') {
       continue;
     }
-    const input = block.input || {};
-    for (const key of FILE_PATH_KEYS) {
-      if (
-        typeof input[key] === 'string' &&
-        input[key].startsWith('/')
-      ) {
-        paths.push(input[key]);
-      }
-    }
+    paths.push(...toolInputPaths(block.input));
   }
   return paths;
 }
 
+// System-injected messages that look like
+// user prompts but aren't actual input.
+const SYSTEM_TAGS = [
+  '<local-command',
+  '<system-reminder',
+  '<command-name',
+];
+
+function isSystemInjected(text) {
+  if (!text) return false;
+  const trimmed = text.trimStart();
+  return SYSTEM_TAGS.some(
+    (tag) => trimmed.startsWith(tag)
+  );
+}
+
+function isUserPrompt(record) {
+  if (record.type !== 'user') return false;
+  const content =
+    record?.message?.content;
+  if (!content) return false;
+  if (typeof content === 'string') {
+    return !isSystemInjected(content);
+  }
+  if (Array.isArray(content)) {
+    const hasToolResult = content.some(
+      (c) => c.type === 'tool_result'
+    );
+    if (hasToolResult) return false;
+    const text = content
+      .filter((c) => c.type === 'text')
+      .map((c) => c.text)
+      .join('');
+    return !isSystemInjected(text);
+  }
+  return false;
+}
+
+// Model in use according to a transcript
+// record: the model on an assistant message,
+// or the model chosen by a `/model` command
+// ("Set model to … (claude-…)"). Synthetic
+// assistant messages carry no real model.
+const MODEL_ID_RE = /\b(claude-[a-z0-9.-]+)/i;
+
+function extractModel(record) {
+  if (record?.type === 'assistant') {
+    const model = record.message?.model;
+    return model && model !== '<synthetic>'
+      ? model
+      : null;
+  }
+  if (record?.type !== 'user') return null;
+  const content = record.message?.content;
+  let text = '';
+  if (typeof content === 'string') {
+    text = content;
+  } else if (Array.isArray(content)) {
+    text = content
+      .filter((c) => c.type === 'text')
+      .map((c) => c.text)
+      .join('');
+  }
+  if (
+    !text.includes('<local-command-stdout>') ||
+    !text.includes('Set model to')
+  ) {
+    return null;
+  }
+  return MODEL_ID_RE.exec(text)?.[1] || null;
+}
+
+// ── Token usage ─────────────────────────
+//
+// Usage is stored per prompt turn as
+// { input, output, cacheRead, cacheWrite }.
+// Claude Code writes one transcript record
+// per content block, each repeating the
+// message's usage, so callers de-duplicate
+// on the returned message id.
+
+const TOKEN_KEYS = [
+  'input', 'output',
+  'cacheRead', 'cacheWrite',
+];
+
+function extractUsage(record) {
+  if (record?.type !== 'assistant') {
+    return null;
+  }
+  const u = record.message?.usage;
+  if (!u) return null;
+  return {
+    id: record.message.id ||
+      record.uuid || null,
+    input: u.input_tokens || 0,
+    output: u.output_tokens || 0,
+    cacheRead:
+      u.cache_read_input_tokens || 0,
+    cacheWrite:
+      u.cache_creation_input_tokens || 0,
+  };
+}
+
+function addTokens(into, from) {
+  for (const k of TOKEN_KEYS) {
+    into[k] = (into[k] || 0) + (from[k] || 0);
+  }
+  return into;
+}
+
+// Usage of the latest answered prompt turn
+// in `records` (oldest first), as
+// { turn, tokens }. `turn` identifies the
+// prompt record so repeated reports of the
+// same turn can be de-duplicated; it is null
+// when the prompt lies before `records`.
+// A trailing prompt with no reply yet is
+// skipped. Returns null without usage.
+function lastTurnUsage(records) {
+  const seen = new Set();
+  const tokens = addTokens({}, {});
+  let found = false;
+  for (
+    let i = records.length - 1;
+    i >= 0;
+    i--
+  ) {
+    const rec = records[i];
+    if (isUserPrompt(rec)) {
+      if (!found) continue;
+      return {
+        turn: rec.uuid || rec.timestamp ||
+          null,
+        tokens,
+      };
+    }
+    const u = extractUsage(rec);
+    if (!u || (u.id && seen.has(u.id))) {
+      continue;
+    }
+    if (u.id) seen.add(u.id);
+    addTokens(tokens, u);
+    found = true;
+  }
+  return found ? { turn: null, tokens } : null;
+}
+
 export {
+  ACTIVITY_EVENTS,
   DEFAULT_CONFIG,
+  ENTRY_CONFIG_KEYS,
+  PERIODS,
+  SYSTEM_TAGS,
+  TOKEN_KEYS,
+  addTokens,
+  configKey,
+  isSystemInjected,
+  isUserPrompt,
+  lastTurnUsage,
+  extractUsage,
   NESTED_QUANT_RE,
   TIMELOG_DIR,
   extractFilePaths,
+  extractModel,
   extractProjectFromPath,
   loadConfig,
+  matchProjectPath,
   matchTicket,
+  periodArgs,
+  projectRules,
+  resolveClient,
+  resolveProjectAlias,
+  toolInputPaths,
   validateConfig,
 };
@@ -0,0 +1,132 @@
+// Calendar-day helpers shared by the hook,
+// backfill and reports. Days are handled as
+// YYYY-MM-DD keys in the configured IANA
+// timezone (config.timezone), falling back
+// to the system zone when unset.
+
+const FORMATTERS = new Map();
+
+function dayFormatter(tz) {
+  const k = tz || '';
+  if (!FORMATTERS.has(k)) {
+    FORMATTERS.set(
+      k,
+      new Intl.DateTimeFormat('en-CA', {
+        timeZone: tz || undefined,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+      })
+    );
+  }
+  return FORMATTERS.get(k);
+}
+
+function isValidTimezone(tz) {
+  if (typeof tz !== 'string' || !tz) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+    });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Calendar date of an instant in tz.
+function dateKey(date, tz) {
+  const parts = {};
+  for (
+    const p of
+    dayFormatter(tz).formatToParts(date)
+  ) {
+    parts[p.type] = p.value;
+  }
+  return (
+    `${parts.year}-${parts.month}-` +
+    parts.day
+  );
+}
+
+// Day arithmetic on keys is done in UTC so
+// DST transitions never skip or repeat a
+// calendar day.
+function keyToUtc(key) {
+  return new Date(key + 'T00:00:00Z');
+}
+
+function addDays(key, n) {
+  const d = keyToUtc(key);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Same day n months on, clamped to the end
+// of shorter months (31 Mar - 1 → 28 Feb).
+function addMonths(key, n) {
+  const [y, m, d] =
+    key.split('-').map(Number);
+  const first = new Date(
+    Date.UTC(y, m - 1 + n, 1)
+  );
+  const last = new Date(Date.UTC(
+    first.getUTCFullYear(),
+    first.getUTCMonth() + 1,
+    0
+  )).getUTCDate();
+  first.setUTCDate(Math.min(d, last));
+  return first.toISOString().slice(0, 10);
+}
+
+// 0 = Sunday … 6 = Saturday
+function dayOfWeek(key) {
+  return keyToUtc(key).getUTCDay();
+}
+
+// Cut the interval [t0, t1) (epoch ms) at
+// each local midnight in tz. Returns one
+// { date, start, end } piece per calendar
+// day touched. The boundary is found by
+// bisection so it is correct for any zone,
+// including DST days that start at 01:00.
+function splitByDay(t0, t1, tz) {
+  const pieces = [];
+  let start = t0;
+  while (start < t1) {
+    const date = dateKey(new Date(start), tz);
+    let end = t1;
+    if (
+      dateKey(new Date(t1 - 1), tz) !== date
+    ) {
+      let lo = start;
+      let hi = t1 - 1;
+      while (hi - lo > 1) {
+        const mid =
+          Math.floor((lo + hi) / 2);
+        if (
+          dateKey(new Date(mid), tz) === date
+        ) {
+          lo = mid;
+        } else {
+          hi = mid;
+        }
+      }
+      end = hi;
+    }
+    pieces.push({ date, start, end });
+    start = end;
+  }
+  return pieces;
+}
+
+export {
+  addDays,
+  addMonths,
+  dateKey,
+  dayOfWeek,
+  isValidTimezone,
+  splitByDay,
+};
@@ -0,0 +1,131 @@
+// Git repository identity for a working
+// directory. Linked worktrees and
+// submodule checkouts resolve to the
+// repository they belong to, so a branch
+// checked out in `../my-app-feature` still
+// counts as `my-app`.
+
+import {
+  execFileSync,
+} from 'node:child_process';
+import {
+  basename, dirname, resolve,
+} from 'node:path';
+
+// Trimmed stdout of a git command, or null
+// when git fails (not a repo, no git, …).
+function git(cwd, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'ignore'],
+    }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Name of the repository owning a git dir.
+// `/src/my-app/.git` → my-app,
+// `/srv/my-app.git` (bare) → my-app,
+// `/src/app/.git/modules/lib` → lib.
+function repoName(commonDir) {
+  return basename(commonDir) === '.git'
+    ? basename(dirname(commonDir))
+    : basename(commonDir, '.git');
+}
+
+// The common git dir is shared by every
+// worktree of a repository, unlike
+// --show-toplevel which names the worktree.
+function repoDir(cwd) {
+  const common = git(
+    cwd, ['rev-parse', '--git-common-dir']
+  );
+  // Relative to cwd in the main worktree
+  return common ? resolve(cwd, common) : null;
+}
+
+function repoNameFromCwd(cwd) {
+  const dir = repoDir(cwd);
+  return dir ? repoName(dir) : null;
+}
+
+function headCommit(cwd) {
+  return git(cwd, ['rev-parse', 'HEAD']);
+}
+
+// Commits on local branches committed in
+// [since, until] (epoch ms), oldest first.
+// opts.mine limits them to the repository's
+// user.email, leaving teammates' work out;
+// with no email configured nothing is
+// filtered.
+function commitsBetween(
+  cwd, since, until, opts = {}
+) {
+  const email = opts.mine
+    ? git(cwd, ['config', 'user.email'])
+    : null;
+  const out = git(cwd, [
+    'log',
+    '--branches',
+    '--reverse',
+    `--since=${new Date(since).toISOString()}`,
+    `--until=${new Date(until).toISOString()}`,
+    ...(email
+      ? ['--fixed-strings', `--author=<${email}>`]
+      : []),
+    '--format=%H%x1f%ct%x1f%s',
+  ]);
+  if (!out) return [];
+  return out.split('\n').map((line) => {
+    const [sha, ct, subject] =
+      line.split('\x1f');
+    return {
+      sha,
+      time: Number(ct) * 1000,
+      subject,
+    };
+  });
+}
+
+// `org/repo` from a remote URL in any of
+// the forms git accepts:
+//   git@github.com:org/repo.git
+//   https://github.com/org/repo
+//   ssh://git@host:22/group/sub/repo.git
+// Nested groups keep only the last two
+// segments. null when there is no path.
+function remoteSlug(url) {
+  if (typeof url !== 'string') return null;
+  const path = url
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+    .replace(/^[^/:]+@[^/:]+:/, '')
+    .replace(/\.git\/?$/, '')
+    .replace(/\/+$/, '');
+  const parts = path
+    .split(/[/:]/)
+    .filter(Boolean);
+  if (parts.length < 2) return null;
+  return parts.slice(-2).join('/');
+}
+
+function originRemote(cwd) {
+  return remoteSlug(git(cwd, [
+    'config', '--get', 'remote.origin.url',
+  ]));
+}
+
+export {
+  commitsBetween,
+  git,
+  headCommit,
+  originRemote,
+  repoDir,
+  remoteSlug,
+  repoName,
+  repoNameFromCwd,
+};
@@ -7,13 +7,16 @@
 import {
   createReadStream,
   mkdirSync,
+  openSync,
+  readSync,
+  closeSync,
   readFileSync,
   writeFileSync,
   readdirSync,
   statSync,
   existsSync,
 } from 'node:fs';
-import { join, basename } from 'node:path';
+import { join, basename, dirname } from 'node:path';
 import { homedir } from 'node:os';
 import {
   createInterface,
@@ -23,49 +26,92 @@ import {
   TIMELOG_DIR,
   loadConfig,
   matchTicket,
-  extractProjectFromPath,
+  matchProjectPath,
+  resolveClient,
+  resolveProjectAlias,
   extractFilePaths,
+  extractModel,
+  extractUsage,
+  addTokens,
+  configKey,
+  SYSTEM_TAGS,
+  isSystemInjected,
+  isUserPrompt,
 } from '../lib/config.mjs';
+import {
+  addDays,
+  dateKey,
+} from '../lib/dates.mjs';
+import {
+  buildSlices,
+  fmtHours,
+} from './report.mjs';
 
 const TRANSCRIPTS_DIR =
   join(homedir(), '.claude', 'projects');
 
-// System-injected messages that look like
-// user prompts but aren't actual input.
-const SYSTEM_TAGS = [
-  '<local-command',
-  '<system-reminder',
-  '<command-name',
-];
-
-function isSystemInjected(text) {
-  if (!text) return false;
-  const trimmed = text.trimStart();
-  return SYSTEM_TAGS.some(
-    (tag) => trimmed.startsWith(tag)
+function isTranscript(name) {
+  return (
+    name.endsWith('.jsonl') &&
+    !name.includes('subagent')
   );
 }
 
-function isUserPrompt(record) {
-  if (record.type !== 'user') return false;
-  const content =
-    record?.message?.content;
-  if (!content) return false;
-  if (typeof content === 'string') {
-    return !isSystemInjected(content);
+// Session transcripts under `root`: one
+// folder per launch directory, encoded as
+// the path with / replaced by -. With
+// `project`, only folders whose name holds
+// it (case-insensitive) are scanned. A
+// folder passed directly as root is read
+// too, so `root` can be one project folder.
+function findTranscripts(root, project) {
+  const files = [];
+  let dirs;
+  try {
+    dirs = readdirSync(root);
+  } catch {
+    return files;
   }
-  if (Array.isArray(content)) {
-    const hasToolResult = content.some(
-      (c) => c.type === 'tool_result'
-    );
-    if (hasToolResult) return false;
-    const text = content
-      .filter((c) => c.type === 'text')
-      .map((c) => c.text)
-      .join('');
-    return !isSystemInjected(text);
+  const fp = project?.toLowerCase();
+  if (
+    !fp ||
+    basename(root).toLowerCase().includes(fp)
+  ) {
+    for (const entry of dirs) {
+      if (isTranscript(entry)) {
+        files.push(join(root, entry));
+      }
+    }
+  }
+  for (const dir of dirs) {
+    if (
+      fp && !dir.toLowerCase().includes(fp)
+    ) {
+      continue;
+    }
+    const dirPath = join(root, dir);
+    try {
+      const st = statSync(dirPath);
+      if (!st.isDirectory()) continue;
+    } catch {
+      continue;
+    }
+    let dirEntries;
+    try {
+      dirEntries =
+        readdirSync(dirPath);
+    } catch {
+      continue;
+    }
+    for (const entry of dirEntries) {
+      if (isTranscript(entry)) {
+        files.push(
+          join(dirPath, entry)
+        );
+      }
+    }
   }
-  return false;
+  return files;
 }
 
 function extractPromptText(record) {
@@ -83,8 +129,31 @@ function extractPromptText(record) {
   return '';
 }
 
+// Token usage of one prompt turn. It is
+// written on the event that closes the turn
+// (the next prompt or SessionEnd), the same
+// place the live hook records it.
+function newTurn(id) {
+  return {
+    id,
+    seen: new Set(),
+    tokens: addTokens({}, {}),
+    used: false,
+  };
+}
+
+function turnFields(turn) {
+  return turn.used
+    ? { turn: turn.id, tokens: turn.tokens }
+    : {};
+}
+
+// `info.offset` is set to the end of the
+// last complete (newline-terminated) line,
+// so a record still being written is read
+// again on the next run.
 async function processTranscript(
-  file, config
+  file, config, info = {}
 ) {
   const sessionId =
     basename(file, '.jsonl');
@@ -93,19 +162,28 @@ async function processTranscript(
   let firstTs = null;
   let lastTs = null;
   let fallbackProject = null;
+  let cwd = null;
   let currentProject = null;
+  let currentClient = null;
   let ticket = null;
   let model = null;
+  let currentModel = null;
   let summary = null;
+  let turn = newTurn(null);
+  let offset = 0;
+  let lastBytes = 0;
 
+  const stream = createReadStream(
+    file, 'utf8'
+  );
   const rl = createInterface({
-    input: createReadStream(
-      file, 'utf8'
-    ),
+    input: stream,
     crlfDelay: Infinity,
   });
 
   for await (const line of rl) {
+    lastBytes = Buffer.byteLength(line) + 1;
+    offset += lastBytes;
     if (!line.trim()) continue;
     let rec;
     try {
@@ -122,17 +200,17 @@ async function processTranscript(
       fallbackProject =
         basename(rec.cwd);
     }
+    if (rec.cwd) cwd = rec.cwd;
 
     if (rec.type === 'assistant') {
       for (
         const fp of extractFilePaths(rec)
       ) {
-        const proj =
-          extractProjectFromPath(
-            fp, config
-          );
-        if (proj) {
-          currentProject = proj;
+        const m =
+          matchProjectPath(fp, config);
+        if (m) {
+          currentProject = m.project;
+          currentClient = m.client;
           break;
         }
       }
@@ -144,8 +222,23 @@ async function processTranscript(
       );
     }
 
-    if (!model && rec?.message?.model) {
-      model = rec.message.model;
+    // First model names the session; the
+    // current one (after any /model switch)
+    // is stamped on each prompt.
+    const recModel = extractModel(rec);
+    if (recModel) {
+      if (!model) model = recModel;
+      currentModel = recModel;
+    }
+
+    const usage = extractUsage(rec);
+    if (
+      usage &&
+      !(usage.id && turn.seen.has(usage.id))
+    ) {
+      if (usage.id) turn.seen.add(usage.id);
+      addTokens(turn.tokens, usage);
+      turn.used = true;
     }
 
     if (isUserPrompt(rec)) {
@@ -159,10 +252,15 @@ async function processTranscript(
           project:
             currentProject ||
             fallbackProject,
+          client: currentClient,
           ticket,
+          model: currentModel,
+          cwd,
           prompt: text.slice(0, 500),
+          ...turnFields(turn),
           source: 'backfill',
         });
+        turn = newTurn(rec.uuid || ts);
         if (!ticket) {
           ticket = matchTicket(
             text, config
@@ -176,6 +274,12 @@ async function processTranscript(
     }
   }
 
+  // The last line had no newline
+  if (offset > stream.bytesRead) {
+    offset -= lastBytes;
+  }
+  info.offset = offset;
+
   if (!firstTs) return [];
 
   const project =
@@ -190,17 +294,20 @@ async function processTranscript(
       currentProject
     ) {
       e.project = currentProject;
+      e.client = currentClient;
     }
   }
 
-  return [
+  const all = [
     {
       ts: firstTs,
       event: 'SessionStart',
       session: sessionId,
       project,
+      client: currentClient,
       ticket,
       model,
+      cwd: entries[0]?.cwd || cwd,
       source: 'backfill',
     },
     ...entries,
@@ -209,11 +316,145 @@ async function processTranscript(
       event: 'SessionEnd',
       session: sessionId,
       project,
+      client: currentClient,
       ticket,
+      model: currentModel,
+      cwd,
       summary: summary || undefined,
+      ...turnFields(turn),
       source: 'backfill',
     },
   ];
+
+  // Canonical names, keeping the detected
+  // one when an alias changed it
+  for (const e of all) {
+    const canonical =
+      resolveProjectAlias(e.project, config);
+    if (canonical !== e.project) {
+      e.rawProject = e.project;
+      e.project = canonical;
+    }
+    e.client = e.client ||
+      resolveClient(e.project, config);
+  }
+  return all;
+}
+
+// ── Incremental state ───────────────────
+//
+// .state/backfill.json records, per
+// transcript, its size, mtime, the offset
+// read up to and the days its entries went
+// to. Later runs skip unchanged transcripts
+// and rewrite only the days touched by the
+// ones that changed. A grown transcript is
+// read again from the start: its ticket,
+// project and SessionEnd apply to the whole
+// session. A config change forces a full
+// run, as does --full.
+
+function emptyState(configKey) {
+  return { config: configKey, transcripts: {} };
+}
+
+function readState(path) {
+  try {
+    const state =
+      JSON.parse(readFileSync(path, 'utf8'));
+    if (
+      state &&
+      typeof state.transcripts === 'object'
+    ) {
+      return state;
+    }
+  } catch {
+    // missing or corrupt: start over
+  }
+  return emptyState(null);
+}
+
+function writeState(path, state) {
+  mkdirSync(dirname(path), {
+    recursive: true,
+  });
+  writeFileSync(
+    path, JSON.stringify(state) + '\n'
+  );
+}
+
+// Whether bytes [from, to) of a file hold
+// a newline, i.e. complete a record.
+function hasNewRecords(file, from, to) {
+  const fd = openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    for (let pos = from; pos < to;) {
+      const n = readSync(
+        fd, buf, 0,
+        Math.min(buf.length, to - pos),
+        pos
+      );
+      if (n <= 0) break;
+      if (buf.subarray(0, n).includes(10)) {
+        return true;
+      }
+      pos += n;
+    }
+    return false;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// New, rewritten or truncated transcripts
+// need reading; grown ones only once a
+// complete record follows the last offset.
+// A size recorded after reading can already
+// cover records past the offset, so those
+// count too.
+function transcriptChanged(file, st, prev) {
+  if (!prev) return true;
+  if (st.size === prev.size) {
+    if (st.mtimeMs !== prev.mtimeMs) {
+      return true;
+    }
+    return (prev.offset ?? 0) < st.size &&
+      hasNewRecords(
+        file, prev.offset ?? 0, st.size
+      );
+  }
+  if (st.size < prev.size) return true;
+  return hasNewRecords(
+    file, prev.offset ?? 0, st.size
+  );
+}
+
+function parseDay(raw) {
+  const entries = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // skip malformed
+    }
+  }
+  return entries;
+}
+
+// Entries of a day file with the `drop`ped
+// ones replaced by `entries`, in time order.
+function mergeDay(existing, entries, drop) {
+  const kept = existing.filter(
+    (e) => !drop(e)
+  );
+  return [...kept, ...entries].sort(
+    (a, b) =>
+      (a.ts || '').localeCompare(
+        b.ts || ''
+      )
+  );
 }
 
 function stripNulls(obj) {
@@ -223,13 +464,299 @@ function stripNulls(obj) {
   );
 }
 
+// ── Live reconciliation ─────────────────
+//
+// A session the live hook already logged
+// would otherwise appear twice: two
+// SessionStarts and every prompt doubled.
+// Backfill entries are matched to live
+// entries of the same session: session
+// start/end by event, prompts by text
+// within MATCH_WINDOW_MS. Each matched pair
+// keeps one side (`prefer`); unmatched
+// entries on either side are kept, so
+// backfill still fills gaps in live data.
+
+const PREFER = ['live', 'backfill'];
+
+const MATCH_WINDOW_MS = 60 * 1000;
+
+function sameEvent(b, l) {
+  if (b.event !== l.event) return false;
+  if (b.event !== 'UserPromptSubmit') {
+    return true;
+  }
+  return (
+    (b.prompt || '').trim() ===
+      (l.prompt || '').trim() &&
+    Math.abs(
+      Date.parse(b.ts) - Date.parse(l.ts)
+    ) <= MATCH_WINDOW_MS
+  );
+}
+
+// Returns the entries to drop from each
+// side and, per session, { date, prompts,
+// events } counts of what was matched.
+function reconcile(
+  backfill, live, prefer = 'live', tz
+) {
+  const pools = new Map();
+  for (const e of live) {
+    if (
+      e.source === 'backfill' || !e.session
+    ) {
+      continue;
+    }
+    if (!pools.has(e.session)) {
+      pools.set(e.session, []);
+    }
+    pools.get(e.session).push(e);
+  }
+
+  const dropBackfill = new Set();
+  const dropLive = new Set();
+  const sessions = new Map();
+  for (const e of backfill) {
+    const pool = pools.get(e.session);
+    const i = pool
+      ? pool.findIndex((l) => sameEvent(e, l))
+      : -1;
+    if (i < 0) continue;
+    const [match] = pool.splice(i, 1);
+    if (prefer === 'backfill') {
+      dropLive.add(match);
+    } else {
+      dropBackfill.add(e);
+    }
+    if (!sessions.has(e.session)) {
+      sessions.set(e.session, {
+        date: dateKey(new Date(e.ts), tz),
+        prompts: 0,
+        events: 0,
+      });
+    }
+    const stat = sessions.get(e.session);
+    if (e.event === 'UserPromptSubmit') {
+      stat.prompts++;
+    } else {
+      stat.events++;
+    }
+  }
+  return { dropBackfill, dropLive, sessions };
+}
+
+// Text lines reporting reconciled sessions
+function formatReconciled(sessions, prefer) {
+  if (sessions.size === 0) return [];
+  const out = [
+    `Deduplicated ${sessions.size} ` +
+    'sessions already logged live ' +
+    `(kept ${prefer}):`,
+  ];
+  const sorted = [...sessions].sort(
+    (a, b) => a[1].date.localeCompare(
+      b[1].date
+    )
+  );
+  for (const [sid, stat] of sorted) {
+    out.push(
+      `  ${sid.slice(0, 8)}  ${stat.date}  ` +
+      `${stat.prompts} prompts, ` +
+      `${stat.events} session events`
+    );
+  }
+  return out;
+}
+
+function entryLine(e) {
+  return JSON.stringify(stripNulls(e));
+}
+
+// ── Dry run ─────────────────────────────
+//
+// What rewriting one day file would change.
+// Lines are compared as written; a removed
+// and an added line for the same session,
+// event and time are one entry that changed
+// (e.g. moved to another project) rather
+// than a removal plus an addition.
+
+function entryKey(e) {
+  return [e.session, e.event, e.ts]
+    .join('\t');
+}
+
+// Lines of `a` missing from `b`, counting
+// repeats.
+function missingLines(a, b) {
+  const counts = new Map();
+  for (const line of b) {
+    counts.set(line, (counts.get(line) || 0) + 1);
+  }
+  return a.filter((line) => {
+    const n = counts.get(line) || 0;
+    if (n > 0) counts.set(line, n - 1);
+    return n === 0;
+  });
+}
+
+function countMove(map, from, to) {
+  if (from === to) return;
+  const k = `${from || '(none)'} → ` +
+    (to || '(none)');
+  map.set(k, (map.get(k) || 0) + 1);
+}
+
+// Active seconds per project on `date`
+function projectSeconds(entries, date, opts) {
+  const out = new Map();
+  for (
+    const s of
+    buildSlices(entries, opts.breakMs, opts)
+  ) {
+    if (s.date !== date) continue;
+    const p = s.project || '(unknown)';
+    out.set(p, (out.get(p) || 0) + s.seconds);
+  }
+  return out;
+}
+
+// opts: { breakMs, timezone }
+function diffDay(before, after, date, opts) {
+  const oldLines = before.map(entryLine);
+  const newLines = after.map(entryLine);
+  const removed =
+    missingLines(oldLines, newLines)
+      .map((l) => JSON.parse(l));
+  const added =
+    missingLines(newLines, oldLines)
+      .map((l) => JSON.parse(l));
+
+  const diff = {
+    added: 0,
+    removed: 0,
+    changed: 0,
+    projects: new Map(),
+    tickets: new Map(),
+    hours: new Map(),
+    lines: [],
+  };
+
+  const pending = new Map();
+  for (const e of removed) {
+    const k = entryKey(e);
+    if (!pending.has(k)) pending.set(k, []);
+    pending.get(k).push(e);
+  }
+  for (const e of added) {
+    const old = pending.get(entryKey(e))?.shift();
+    if (old) {
+      diff.changed++;
+      countMove(
+        diff.projects, old.project, e.project
+      );
+      countMove(
+        diff.tickets, old.ticket, e.ticket
+      );
+    } else {
+      diff.added++;
+    }
+  }
+  for (const list of pending.values()) {
+    diff.removed += list.length;
+  }
+
+  diff.lines = [
+    ...removed.map((e) => ['-', e]),
+    ...added.map((e) => ['+', e]),
+  ]
+    .sort((a, b) =>
+      (a[1].ts || '').localeCompare(
+        b[1].ts || ''
+      ) || a[0].localeCompare(b[0])
+    )
+    .map(([sign, e]) =>
+      `${sign} ${entryLine(e)}`
+    );
+
+  if (removed.length || added.length) {
+    const was =
+      projectSeconds(before, date, opts);
+    const now =
+      projectSeconds(after, date, opts);
+    for (
+      const p of
+      new Set([...was.keys(), ...now.keys()])
+    ) {
+      const delta =
+        (now.get(p) || 0) - (was.get(p) || 0);
+      if (delta !== 0) diff.hours.set(p, delta);
+    }
+  }
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return diff.lines.length === 0;
+}
+
+// Text lines summarising one day's diff,
+// followed by the changed lines with
+// opts.lines.
+function formatDayDiff(date, diff, opts = {}) {
+  const out = [
+    `${date}  +${diff.added} added, ` +
+    `-${diff.removed} removed, ` +
+    `~${diff.changed} changed`,
+  ];
+  const moves = (label, map) => {
+    for (const [k, n] of map) {
+      out.push(`  ${label} ${k} (${n})`);
+    }
+  };
+  moves('project', diff.projects);
+  moves('ticket ', diff.tickets);
+  // Seconds-level shifts round to nothing
+  const hours = [...diff.hours].filter(
+    ([, secs]) =>
+      fmtHours(Math.abs(secs)) !== '0.00'
+  );
+  if (hours.length > 0) {
+    const parts = hours
+      .sort((a, b) => b[1] - a[1])
+      .map(([p, secs]) =>
+        `${p} ${secs > 0 ? '+' : '-'}` +
+        `${fmtHours(Math.abs(secs))}h`
+      );
+    out.push(`  hours   ${parts.join(', ')}`);
+  }
+  if (opts.lines) {
+    for (const line of diff.lines) {
+      out.push(`  ${line}`);
+    }
+  }
+  return out;
+}
+
 // ── Exports ─────────────────────────────
 
 export {
   isSystemInjected,
   isUserPrompt,
   extractPromptText,
+  findTranscripts,
   processTranscript,
+  readState,
+  configKey,
+  transcriptChanged,
+  parseDay,
+  mergeDay,
+  reconcile,
+  formatReconciled,
+  diffDay,
+  isEmptyDiff,
+  formatDayDiff,
   stripNulls,
   SYSTEM_TAGS,
 };
@@ -242,152 +769,383 @@ if (
 ) {
   const config = loadConfig();
 
-  function findTranscripts() {
-    const files = [];
-    let dirs;
-    try {
-      dirs = readdirSync(TRANSCRIPTS_DIR);
-    } catch {
-      return files;
+  const USAGE = `Usage: backfill.mjs [options]
+
+Imports Claude Code session transcripts
+into the timelog. Later runs only read new
+or grown transcripts.
+
+Options:
+  --full      Re-read every transcript and
+              rewrite every day file
+  --prefer P  For sessions the live hook
+              also logged, keep live
+              (default) or backfill
+              entries where they match
+
+Scope (day files outside it are left as
+they are):
+  --from DATE       Only write entries on
+                    or after YYYY-MM-DD
+  --to DATE         Only write entries on
+                    or before YYYY-MM-DD
+  --project NAME    Only transcript folders
+                    whose name contains NAME
+  --transcripts-dir DIR
+                    Scan DIR instead of
+                    ~/.claude/projects
+  --dry-run   Summarise what would change
+              per day; write nothing
+  --diff      As --dry-run, with the
+              changed lines
+  --help      Show this help`;
+
+  const args = process.argv.slice(2);
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  const VALUE_FLAGS = [
+    '--prefer', '--from', '--to',
+    '--project', '--transcripts-dir',
+  ];
+  const KNOWN_FLAGS = new Set([
+    '--full', '--dry-run', '--diff',
+    ...VALUE_FLAGS,
+  ]);
+  const flagArgs = {};
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (!KNOWN_FLAGS.has(a)) {
+      console.error(
+        `Unknown flag: ${a}\n` +
+        'Run with --help for usage.'
+      );
+      process.exit(2);
     }
-    for (const dir of dirs) {
-      const dirPath =
-        join(TRANSCRIPTS_DIR, dir);
-      try {
-        const st = statSync(dirPath);
-        if (!st.isDirectory()) continue;
-      } catch {
-        continue;
-      }
-      let dirEntries;
+    if (VALUE_FLAGS.includes(a)) {
+      // A following flag is not a value
+      flagArgs[a] =
+        args[i + 1]?.startsWith('--')
+          ? ''
+          : args[++i];
+    }
+  }
+  function usageError(msg) {
+    console.error(msg);
+    process.exit(2);
+  }
+  for (
+    const k of [
+      '--prefer', '--from', '--to',
+      '--project', '--transcripts-dir',
+    ]
+  ) {
+    if (k in flagArgs && !flagArgs[k]) {
+      usageError(`${k} needs a value.`);
+    }
+  }
+  for (const k of ['--from', '--to']) {
+    if (
+      flagArgs[k] !== undefined &&
+      !/^\d{4}-\d{2}-\d{2}$/.test(flagArgs[k])
+    ) {
+      usageError(
+        `Invalid date for ${k}: ` +
+        `${flagArgs[k]}\n` +
+        'Expected YYYY-MM-DD format.'
+      );
+    }
+  }
+  const from = flagArgs['--from'] || null;
+  const to = flagArgs['--to'] || null;
+  if (from && to && from > to) {
+    usageError('--from is after --to.');
+  }
+  const transcriptsDir =
+    flagArgs['--transcripts-dir'] ||
+    TRANSCRIPTS_DIR;
+  if (
+    flagArgs['--transcripts-dir'] &&
+    !existsSync(transcriptsDir)
+  ) {
+    usageError(
+      `No such directory: ${transcriptsDir}`
+    );
+  }
+
+  // Scoped runs re-read every transcript in
+  // scope and leave the incremental state
+  // alone, since it describes whole runs.
+  // Narrowed runs only replace entries of
+  // the sessions they read.
+  const narrowed = Boolean(
+    flagArgs['--project'] ||
+    flagArgs['--transcripts-dir']
+  );
+  const scoped = narrowed || Boolean(from || to);
+  const inRange = (date) =>
+    (!from || date >= from) &&
+    (!to || date <= to);
+  const prefer = flagArgs['--prefer'] || 'live';
+  if (!PREFER.includes(prefer)) {
+    console.error(
+      `Invalid value for --prefer: ${prefer}\n` +
+      `Expected one of: ${PREFER.join(', ')}`
+    );
+    process.exit(2);
+  }
+
+  const statePath = join(
+    TIMELOG_DIR, '.state', 'backfill.json'
+  );
+
+  const showLines = args.includes('--diff');
+  const dryRun =
+    showLines || args.includes('--dry-run');
+
+  async function main() {
+    const key = configKey(config);
+    const prevState = readState(statePath);
+    const full =
+      scoped ||
+      args.includes('--full') ||
+      prevState.config !== key;
+    const prev = full
+      ? {}
+      : prevState.transcripts;
+    // Transcripts last written before the
+    // range cannot hold entries in it (a day
+    // of slack covers any timezone).
+    const notBefore = from
+      ? Date.parse(addDays(from, -1))
+      : 0;
+
+    const transcripts = findTranscripts(
+      transcriptsDir, flagArgs['--project']
+    );
+    const changed = [];
+    // Stat before reading: a transcript
+    // that grows while it is read then
+    // shows as changed on the next run.
+    const stats = new Map();
+    const state = emptyState(key);
+    for (const file of transcripts) {
+      let st;
       try {
-        dirEntries =
-          readdirSync(dirPath);
+        st = statSync(file);
       } catch {
         continue;
       }
-      for (const entry of dirEntries) {
-        if (
-          entry.endsWith('.jsonl') &&
-          !entry.includes('subagent')
-        ) {
-          files.push(
-            join(dirPath, entry)
-          );
-        }
+      if (st.mtimeMs < notBefore) continue;
+      if (transcriptChanged(
+        file, st, prev[file]
+      )) {
+        changed.push(file);
+        stats.set(file, st);
+      } else {
+        state.transcripts[file] = prev[file];
       }
     }
-    return files;
-  }
-
-  async function main() {
-    const transcripts =
-      findTranscripts();
     console.error(
-      `Processing ` +
-      `${transcripts.length}` +
+      `Processing ${changed.length}` +
+      (full
+        ? ''
+        : ` of ${transcripts.length}`) +
       ' transcripts...'
     );
 
-    mkdirSync(
-      TIMELOG_DIR, { recursive: true }
-    );
+    if (!dryRun) {
+      mkdirSync(
+        TIMELOG_DIR, { recursive: true }
+      );
+    }
     const byDate = new Map();
+    // Days holding old entries of the
+    // changed sessions
+    const affected = new Set();
+    const sessions = new Set();
     let total = 0;
 
     for (
       let i = 0;
-      i < transcripts.length;
+      i < changed.length;
       i++
     ) {
+      const file = changed[i];
+      const info = {};
       const entries =
         await processTranscript(
-          transcripts[i], config
+          file, config, info
         );
+      const st = stats.get(file);
+      sessions.add(basename(file, '.jsonl'));
+      for (
+        const d of
+        prevState.transcripts[file]?.days || []
+      ) {
+        affected.add(d);
+      }
 
+      const days = new Set();
       for (const entry of entries) {
-        const date =
-          entry.ts?.slice(0, 10) ||
-          'unknown';
+        const date = entry.ts
+          ? dateKey(
+            new Date(entry.ts),
+            config.timezone
+          )
+          : 'unknown';
+        days.add(date);
+        if (!inRange(date)) continue;
         if (!byDate.has(date)) {
           byDate.set(date, []);
         }
         byDate.get(date).push(entry);
         total++;
       }
+      state.transcripts[file] = {
+        size: st.size,
+        mtimeMs: st.mtimeMs,
+        offset: info.offset,
+        days: [...days],
+      };
 
       if ((i + 1) % 100 === 0) {
         console.error(
           `  ${i + 1}` +
-          `/${transcripts.length}...`
+          `/${changed.length}...`
         );
       }
     }
 
-    const allDates =
-      new Set(byDate.keys());
+    for (const d of byDate.keys()) {
+      affected.add(d);
+    }
 
-    if (existsSync(TIMELOG_DIR)) {
+    // A full run replaces every backfill
+    // entry; otherwise only those of the
+    // sessions just read.
+    const dropAll = full && !narrowed;
+    if (dropAll && existsSync(TIMELOG_DIR)) {
       for (
         const f of readdirSync(TIMELOG_DIR)
       ) {
         if (f.endsWith('.jsonl')) {
-          allDates.add(
+          affected.add(
             f.replace('.jsonl', '')
           );
         }
       }
     }
+    // Day files outside --from/--to are
+    // never read or written.
+    for (const d of affected) {
+      if (!inRange(d)) affected.delete(d);
+    }
+    const drop = dropAll
+      ? (e) => e.source === 'backfill'
+      : (e) =>
+        e.source === 'backfill' &&
+        sessions.has(e.session);
 
     let preserved = 0;
-    for (const date of allDates) {
+    let changedDays = 0;
+    const diffOpts = {
+      breakMs:
+        (config.breakThreshold || 1800) *
+        1000,
+      timezone: config.timezone,
+    };
+    const days = new Map();
+    const live = [];
+    for (const date of [...affected].sort()) {
       const path = join(
         TIMELOG_DIR, `${date}.jsonl`
       );
-
-      const kept = [];
-      if (existsSync(path)) {
-        const raw =
-          readFileSync(path, 'utf8');
-        for (
-          const line of raw.split('\n')
+      const exists = existsSync(path);
+      const before = exists
+        ? parseDay(readFileSync(path, 'utf8'))
+        : [];
+      days.set(date, { path, exists, before });
+      for (const e of before) {
+        if (
+          e.source !== 'backfill' &&
+          sessions.has(e.session)
         ) {
-          if (!line.trim()) continue;
-          try {
-            const e = JSON.parse(line);
-            if (e.source !== 'backfill') {
-              kept.push(e);
-              preserved++;
-            }
-          } catch {
-            // skip malformed
-          }
+          live.push(e);
         }
       }
+    }
 
-      const backfill =
-        byDate.get(date) || [];
-      const merged =
-        [...kept, ...backfill].sort(
-          (a, b) =>
-            (a.ts || '').localeCompare(
-              b.ts || ''
-            )
-        );
+    const {
+      dropBackfill, dropLive, sessions: deduped,
+    } = reconcile(
+      [...byDate.values()].flat(),
+      live,
+      prefer,
+      config.timezone
+    );
+    for (
+      const line of
+      formatReconciled(deduped, prefer)
+    ) {
+      console.error(line);
+    }
 
-      if (merged.length === 0) continue;
+    for (
+      const [date, { path, exists, before }] of
+      days
+    ) {
+      const merged = mergeDay(
+        before,
+        (byDate.get(date) || []).filter(
+          (e) => !dropBackfill.has(e)
+        ),
+        (e) => drop(e) || dropLive.has(e)
+      );
+      if (dryRun) {
+        const diff = diffDay(
+          before, merged, date, diffOpts
+        );
+        if (!isEmptyDiff(diff)) {
+          changedDays++;
+          console.log(formatDayDiff(
+            date, diff, { lines: showLines }
+          ).join('\n'));
+        }
+        continue;
+      }
+      if (merged.length === 0) {
+        // Emptied by a re-read session
+        if (exists) writeFileSync(path, '');
+        continue;
+      }
+      preserved += merged.filter(
+        (e) => e.source !== 'backfill'
+      ).length;
 
       const lines = merged
-        .map(
-          (e) =>
-            JSON.stringify(stripNulls(e))
-        )
+        .map(entryLine)
         .join('\n');
       writeFileSync(path, lines + '\n');
     }
 
+    if (dryRun) {
+      console.error(
+        changedDays === 0
+          ? 'Dry run: no changes.'
+          : `Dry run: ${changedDays} day ` +
+            'files would change. Nothing ' +
+            'written.'
+      );
+      return;
+    }
+
+    if (!scoped) writeState(statePath, state);
+
     console.error(
-      `Done. ${total} backfill entries` +
+      `Done. ${total - dropBackfill.size}` +
+      ' backfill entries' +
       ` across ${byDate.size} days.`
     );
     if (preserved > 0) {
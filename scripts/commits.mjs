@@ -0,0 +1,433 @@
+#!/usr/bin/env node
+
+// Commits produced during logged time.
+// Active slices are merged into windows per
+// working directory, project and ticket;
+// git log over each repository then cites
+// the commits made inside those windows, so
+// a timesheet line can list its work.
+
+import { fileURLToPath } from 'node:url';
+import {
+  TIMELOG_DIR,
+  loadConfig,
+} from '../lib/config.mjs';
+import { dateKey } from '../lib/dates.mjs';
+import {
+  commitsBetween,
+  repoDir,
+} from '../lib/git.mjs';
+import {
+  PERIODS,
+  resolvePeriod,
+  periodLabel,
+  parseEntries,
+  logFiles,
+  applyAliases,
+  applyClients,
+  buildSlices,
+  filterSlices,
+  fmtDate,
+  toCsv,
+} from './report.mjs';
+
+// Commit times have one-second resolution,
+// events have milliseconds.
+const SLACK_MS = 1000;
+
+// ── Active windows ──────────────────────
+
+// Timed slices merged into contiguous
+// { cwd, project, ticket, start, end }
+// windows, ordered by start.
+function activeWindows(slices) {
+  const byKey = new Map();
+  for (const s of slices) {
+    if (!s.cwd || !(s.seconds > 0)) continue;
+    const key = [
+      s.cwd, s.project, s.ticket,
+    ].join('\t');
+    if (!byKey.has(key)) {
+      byKey.set(key, []);
+    }
+    byKey.get(key).push(s);
+  }
+
+  const windows = [];
+  for (const list of byKey.values()) {
+    list.sort((a, b) => a.start - b.start);
+    let curr = null;
+    for (const s of list) {
+      if (curr && s.start <= curr.end) {
+        curr.end = Math.max(curr.end, s.end);
+        continue;
+      }
+      curr = {
+        cwd: s.cwd,
+        project: s.project || null,
+        ticket: s.ticket || null,
+        start: s.start,
+        end: s.end,
+      };
+      windows.push(curr);
+    }
+  }
+  return windows.sort(
+    (a, b) => a.start - b.start
+  );
+}
+
+// ── Attribution ─────────────────────────
+
+// Each commit goes to the window it falls
+// in; when concurrent sessions overlap, the
+// one that started last (the most recent
+// activity) wins. Commits outside every
+// window are dropped.
+function assignCommits(windows, commits) {
+  const assigned = [];
+  for (const c of commits) {
+    let best = null;
+    for (const w of windows) {
+      if (
+        c.time >= w.start - SLACK_MS &&
+        c.time <= w.end &&
+        (!best || w.start > best.start)
+      ) {
+        best = w;
+      }
+    }
+    if (best) {
+      assigned.push({
+        ...c,
+        project: best.project,
+        ticket: best.ticket,
+      });
+    }
+  }
+  return assigned;
+}
+
+// project → ticket → commits, in the order
+// the commits were made.
+function groupCommits(assigned) {
+  const projects = new Map();
+  const sorted = [...assigned].sort(
+    (a, b) => a.time - b.time
+  );
+  for (const c of sorted) {
+    const project =
+      c.project || '(unknown)';
+    const ticket =
+      c.ticket || '(untracked)';
+    if (!projects.has(project)) {
+      projects.set(project, new Map());
+    }
+    const tickets = projects.get(project);
+    if (!tickets.has(ticket)) {
+      tickets.set(ticket, []);
+    }
+    tickets.get(ticket).push(c);
+  }
+  return projects;
+}
+
+// ── Output ──────────────────────────────
+
+function commitsJson(projects) {
+  const out = {};
+  for (const [project, tickets] of projects) {
+    out[project] = {};
+    for (const [ticket, list] of tickets) {
+      out[project][ticket] = list.map(
+        (c) => ({
+          sha: c.sha,
+          ts: new Date(c.time).toISOString(),
+          subject: c.subject,
+        })
+      );
+    }
+  }
+  return out;
+}
+
+function csvCommits(projects, tz) {
+  const rows = [[
+    'Project', 'Ticket', 'Date',
+    'Commit', 'Subject',
+  ]];
+  for (const [project, tickets] of projects) {
+    for (const [ticket, list] of tickets) {
+      for (const c of list) {
+        rows.push([
+          project,
+          ticket,
+          dateKey(new Date(c.time), tz),
+          c.sha,
+          c.subject,
+        ]);
+      }
+    }
+  }
+  return toCsv(rows);
+}
+
+// ── Exports ─────────────────────────────
+
+export {
+  activeWindows,
+  assignCommits,
+  groupCommits,
+  commitsJson,
+  csvCommits,
+};
+
+// ── CLI (only when run directly) ────────
+
+if (
+  process.argv[1] ===
+  fileURLToPath(import.meta.url)
+) {
+  const USAGE = `Usage: commits.mjs [options]
+
+Lists the git commits made during active
+time, grouped by project and ticket.
+
+Period:
+  --today, --yesterday, --week (default),
+  --last-week, --month, --last-month,
+  --quarter, --last-quarter, --year
+  --since SPAN    Last N days, weeks or
+                  months (10d, 2w, 3m)
+  --from DATE     Start date (YYYY-MM-DD)
+  --to DATE       End date (YYYY-MM-DD)
+
+Filters:
+  --project NAME  Filter by project
+  --client NAME   Filter by client
+  --ticket ID     Filter by ticket
+  --mine          Only commits by each
+                  repository's user.email
+
+Output:
+  --json          JSON output
+  --csv           CSV output
+  --help          Show this help
+
+Examples:
+  commits.mjs --last-week
+  commits.mjs --month --project my-app`;
+
+  const VALUE_FLAGS = [
+    '--since', '--from', '--to',
+    '--project', '--client', '--ticket',
+  ];
+  const KNOWN_FLAGS = new Set([
+    ...PERIODS.map((p) => `--${p}`),
+    ...VALUE_FLAGS,
+    '--mine', '--json', '--csv', '--help',
+  ]);
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  const config = loadConfig();
+  const breakMs =
+    (config.breakThreshold || 1800)
+    * 1000;
+
+  const args = process.argv.slice(2);
+  const flags = new Set(
+    args.filter(
+      (a) => a.startsWith('--')
+    )
+  );
+
+  if (flags.has('--help')) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  for (const f of flags) {
+    if (!KNOWN_FLAGS.has(f)) {
+      console.error(
+        `Unknown flag: ${f}\n` +
+        'Run with --help for usage.'
+      );
+      process.exit(2);
+    }
+  }
+
+  const flagArgs = {};
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_FLAGS.includes(args[i])) {
+      flagArgs[args[i]] = args[++i];
+    }
+  }
+
+  for (
+    const key of ['--from', '--to']
+  ) {
+    if (
+      flagArgs[key] &&
+      !DATE_RE.test(flagArgs[key])
+    ) {
+      console.error(
+        `Invalid date for ${key}: ` +
+        `${flagArgs[key]}\n` +
+        'Expected YYYY-MM-DD format.'
+      );
+      process.exit(2);
+    }
+  }
+
+  const formatFlags = ['--json', '--csv']
+    .filter((f) => flags.has(f));
+  if (formatFlags.length > 1) {
+    console.error(
+      'Choose one format: ' +
+      formatFlags.join(', ')
+    );
+    process.exit(2);
+  }
+
+  const periodFlags = [
+    ...PERIODS, 'since',
+  ].filter((p) => flags.has(`--${p}`));
+  if (periodFlags.length > 1) {
+    console.error(
+      'Choose one period: ' +
+      periodFlags
+        .map((p) => `--${p}`)
+        .join(', ')
+    );
+    process.exit(2);
+  }
+
+  const today =
+    dateKey(new Date(), config.timezone);
+  const period = resolvePeriod(
+    periodFlags[0] || 'week',
+    today,
+    {
+      since: flagArgs['--since'],
+      weekStart: config.weekStart,
+    }
+  );
+  if (!period) {
+    console.error(
+      'Invalid value for --since: ' +
+      `${flagArgs['--since'] ?? ''}\n` +
+      'Expected a number and unit, ' +
+      'e.g. 10d, 2w or 3m.'
+    );
+    process.exit(2);
+  }
+  if (flagArgs['--from']) {
+    period.start = flagArgs['--from'];
+    period.label = null;
+  }
+  if (flagArgs['--to']) {
+    period.end = flagArgs['--to'];
+    period.label = null;
+  }
+
+  const files = logFiles(
+    TIMELOG_DIR, period.start, period.end
+  );
+  if (files.length === 0) {
+    console.error(
+      'No timelog data for ' +
+      `${period.start} to ${period.end}.`
+    );
+    process.exit(1);
+  }
+
+  const entries =
+    await parseEntries(files);
+  const slices = filterSlices(
+    buildSlices(
+      applyClients(
+        applyAliases(entries, config),
+        config
+      ),
+      breakMs,
+      { timezone: config.timezone }
+    ),
+    {
+      project: flagArgs['--project'],
+      client: flagArgs['--client'],
+      ticket: flagArgs['--ticket'],
+      from: period.start,
+      to: period.end,
+    }
+  );
+
+  // Worktrees and subdirectories of one
+  // repository share its git dir; run
+  // git log once per repository.
+  const repos = new Map();
+  for (const w of activeWindows(slices)) {
+    const dir = repoDir(w.cwd);
+    if (!dir) continue;
+    if (!repos.has(dir)) {
+      repos.set(dir, []);
+    }
+    repos.get(dir).push(w);
+  }
+
+  const assigned = [];
+  for (const windows of repos.values()) {
+    const commits = commitsBetween(
+      windows[0].cwd,
+      Math.min(
+        ...windows.map((w) => w.start)
+      ) - SLACK_MS,
+      Math.max(
+        ...windows.map((w) => w.end)
+      ),
+      { mine: flags.has('--mine') }
+    );
+    assigned.push(
+      ...assignCommits(windows, commits)
+    );
+  }
+  const projects = groupCommits(assigned);
+
+  if (flags.has('--json')) {
+    console.log(JSON.stringify({
+      period,
+      projects: commitsJson(projects),
+    }, null, 2));
+  } else if (flags.has('--csv')) {
+    process.stdout.write(
+      csvCommits(projects, config.timezone)
+    );
+  } else {
+    console.log(
+      `Commits (${periodLabel(period)})\n`
+    );
+    if (projects.size === 0) {
+      console.log(
+        'No commits during active time.'
+      );
+    }
+    for (const [project, tickets] of projects) {
+      console.log(project);
+      for (const [ticket, list] of tickets) {
+        console.log(`  ${ticket}`);
+        for (const c of list) {
+          const day = fmtDate(
+            dateKey(
+              new Date(c.time),
+              config.timezone
+            )
+          );
+          console.log(
+            `    ${c.sha.slice(0, 7)}  ` +
+            `${day}  ${c.subject}`
+          );
+        }
+      }
+      console.log();
+    }
+  }
+}
@@ -15,27 +15,198 @@ import {
 } from 'node:readline';
 import { fileURLToPath } from 'node:url';
 import {
+  ACTIVITY_EVENTS,
+  PERIODS,
   TIMELOG_DIR,
+  TOKEN_KEYS,
+  addTokens,
   loadConfig,
+  resolveClient,
+  resolveProjectAlias,
 } from '../lib/config.mjs';
+import {
+  addDays,
+  addMonths,
+  dateKey,
+  dayOfWeek,
+  splitByDay,
+} from '../lib/dates.mjs';
 
 // ── Date helpers ────────────────────────
+//
+// Periods are resolved as YYYY-MM-DD keys
+// in the configured timezone, the same keys
+// the hook uses to name day files and
+// buildSlices uses to date each slice.
+
+// First day of the week containing `key`.
+// weekStart is 0 (Sunday) … 6 (Saturday),
+// defaulting to Monday.
+function startOfWeek(key, weekStart = 1) {
+  const diff =
+    (dayOfWeek(key) - weekStart + 7) % 7;
+  return addDays(key, -diff);
+}
+
+function startOfMonth(key) {
+  return key.slice(0, 8) + '01';
+}
+
+function startOfQuarter(key) {
+  const m = Number(key.slice(5, 7));
+  const q = m - ((m - 1) % 3);
+  return (
+    key.slice(0, 5) +
+    String(q).padStart(2, '0') + '-01'
+  );
+}
+
+// Every day, week start or YYYY-MM month
+// touched by the inclusive range, so grids
+// show empty periods as well as busy ones.
+function periodKeys(
+  start, end, unit, weekStart
+) {
+  const keys = [];
+  if (unit === 'month') {
+    for (
+      let k = startOfMonth(start);
+      k <= end;
+      k = addMonths(k, 1)
+    ) {
+      keys.push(k.slice(0, 7));
+    }
+    return keys;
+  }
+  const step = unit === 'week' ? 7 : 1;
+  for (
+    let k = unit === 'week'
+      ? startOfWeek(start, weekStart)
+      : start;
+    k <= end;
+    k = addDays(k, step)
+  ) {
+    keys.push(k);
+  }
+  return keys;
+}
 
-function startOfWeek(d) {
-  const r = new Date(d);
-  const day = r.getDay();
-  const diff = day === 0 ? -6 : 1 - day;
-  r.setDate(r.getDate() + diff);
-  r.setHours(0, 0, 0, 0);
-  return r;
+// --since 10d / 2w / 3m
+const SINCE_RE = /^(\d+)([dwm])$/;
+
+// Resolve a period name to an inclusive
+// { start, end, label } range relative to
+// `today` (a YYYY-MM-DD key). opts.since is
+// the span for 'since'; opts.weekStart sets
+// the first day of the week. Returns null
+// if the name or span is not recognised.
+function resolvePeriod(
+  name, today, opts = {}
+) {
+  const range = (start, end, label) =>
+    ({ start, end, label });
+  const weekOf = (key) =>
+    startOfWeek(key, opts.weekStart);
+  switch (name) {
+    case 'today':
+      return range(today, today, 'today');
+    case 'yesterday': {
+      const y = addDays(today, -1);
+      return range(y, y, 'yesterday');
+    }
+    case 'week':
+      return range(
+        weekOf(today), today,
+        'this week'
+      );
+    case 'last-week': {
+      const start =
+        addDays(weekOf(today), -7);
+      return range(
+        start, addDays(start, 6),
+        'last week'
+      );
+    }
+    case 'month':
+      return range(
+        startOfMonth(today), today,
+        'this month'
+      );
+    case 'last-month': {
+      const end =
+        addDays(startOfMonth(today), -1);
+      return range(
+        startOfMonth(end), end,
+        'last month'
+      );
+    }
+    case 'quarter':
+      return range(
+        startOfQuarter(today), today,
+        'this quarter'
+      );
+    case 'last-quarter': {
+      const end =
+        addDays(startOfQuarter(today), -1);
+      return range(
+        startOfQuarter(end), end,
+        'last quarter'
+      );
+    }
+    case 'year':
+      return range(
+        today.slice(0, 5) + '01-01', today,
+        'this year'
+      );
+    case 'since': {
+      const arg = opts.since;
+      const m = SINCE_RE.exec(arg || '');
+      if (!m) return null;
+      const n = Number(m[1]);
+      const start =
+        m[2] === 'm'
+          ? addMonths(today, -n)
+          : addDays(
+            today, m[2] === 'w' ? -7 * n : -n
+          );
+      return range(
+        start, today, `since ${arg}`
+      );
+    }
+    default:
+      return null;
+  }
 }
 
-function dateKey(date) {
-  return date.toISOString().slice(0, 10);
+// Header text for a resolved range.
+function periodLabel({ start, end, label }) {
+  const span = start === end
+    ? start
+    : `${start} to ${end}`;
+  return label ? `${label}, ${span}` : span;
 }
 
 // ── Parse entries ───────────────────────
 
+// Day files are named in whichever zone
+// was configured when they were written,
+// so read one file either side of the
+// range and let filterSlices trim to it.
+function logFiles(dir, startKey, endKey) {
+  if (!existsSync(dir)) return [];
+  const start = addDays(startKey, -1);
+  const end = addDays(endKey, 1);
+  return readdirSync(dir)
+    .filter(
+      (f) => f.endsWith('.jsonl')
+    )
+    .filter((f) => {
+      const d = f.replace('.jsonl', '');
+      return d >= start && d <= end;
+    })
+    .map((f) => join(dir, f));
+}
+
 async function parseEntries(files) {
   const entries = [];
   for (const file of files) {
@@ -55,6 +226,90 @@ async function parseEntries(files) {
   return entries;
 }
 
+// ── Project aliases and clients ─────────
+//
+// config.projectAliases folds raw project
+// names (exact or /regex/) into a canonical
+// one. The hook and backfill apply it when
+// logging; reports apply it again so older
+// files follow the current config without
+// being rewritten. The detected name is
+// kept as rawProject.
+
+function applyAliases(entries, config) {
+  if (!config.projectAliases) return entries;
+  return entries.map((e) => {
+    const raw = e.rawProject || e.project;
+    const project =
+      resolveProjectAlias(raw, config);
+    if (
+      project === e.project &&
+      raw === project
+    ) {
+      return e;
+    }
+    return {
+      ...e,
+      project,
+      rawProject:
+        raw !== project ? raw : undefined,
+    };
+  });
+}
+
+// Client from the current config.clients
+// mapping, falling back to the one logged
+// with the event (e.g. from a projectPatterns
+// rule).
+function applyClients(entries, config) {
+  if (!config.clients) return entries;
+  return entries.map((e) => {
+    const client =
+      resolveClient(e.project, config) ||
+      e.client;
+    return client === e.client
+      ? e
+      : { ...e, client };
+  });
+}
+
+// Canonical project → raw name → active
+// seconds, for projects that folded in at
+// least one other name.
+function buildFolded(slices) {
+  const projects = new Map();
+  for (const s of slices) {
+    if (!s.project) continue;
+    const raw = s.rawProject || s.project;
+    if (!projects.has(s.project)) {
+      projects.set(s.project, {
+        active: 0,
+        names: new Map(),
+        folded: false,
+      });
+    }
+    const p = projects.get(s.project);
+    p.active += s.seconds;
+    p.names.set(
+      raw, (p.names.get(raw) || 0) + s.seconds
+    );
+    if (raw !== s.project) p.folded = true;
+  }
+  return new Map(
+    [...projects]
+      .filter(([, p]) => p.folded)
+      .sort(byActiveDesc)
+  );
+}
+
+function foldedJson(folded) {
+  const out = {};
+  for (const [proj, p] of folded) {
+    out[proj] = Object.fromEntries(p.names);
+  }
+  return out;
+}
+
 // ── Event-level time slicing ────────────
 //
 // Algorithm:
@@ -73,8 +328,47 @@ async function parseEntries(files) {
 // and concurrent sessions accurately because
 // each slice carries its own project/ticket
 // from the event that started it.
+//
+// Tool and stop events (ACTIVITY_EVENTS)
+// keep a session active while Claude works
+// between prompts. They inherit the ticket
+// of the event before them when they have
+// none, so a ticket named in a prompt still
+// covers the work it started. Time from a
+// PreToolUse event is attributed to its
+// tool (see --by-tool).
+//
+// Sessions that log Stop events are also
+// split into phases: 'agent' from a prompt
+// or tool call until Claude stops, and
+// 'review' from Stop (or SessionStart)
+// until the next prompt. Sessions without
+// Stop events (older logs) get no phase.
+//
+// Token usage is logged on the event that
+// closes a turn, so it is added to the slice
+// before that event (the turn's own context).
+// When there is none, e.g. after a break, a
+// zero-second slice carries the tokens.
+// Repeats of the same turn are counted once.
+
+const AGENT_EVENTS = new Set([
+  'UserPromptSubmit',
+  'PreToolUse',
+  'PostToolUse',
+  'SubagentStop',
+]);
+
+function phaseOf(event) {
+  return AGENT_EVENTS.has(event)
+    ? 'agent'
+    : 'review';
+}
 
-function buildSlices(entries, breakMs) {
+function buildSlices(
+  entries, breakMs, opts = {}
+) {
+  const tz = opts.timezone;
   const bySession = new Map();
   for (const e of entries) {
     if (!e.session) continue;
@@ -92,6 +386,64 @@ function buildSlices(entries, breakMs) {
         new Date(a.ts) - new Date(b.ts)
     );
 
+    // Older hook versions only wrote the
+    // model on SessionStart, so carry the
+    // latest known model forward; a newer
+    // value (e.g. after /model) replaces it.
+    const models = [];
+    let model;
+    for (const e of events) {
+      if (e.model) model = e.model;
+      models.push(model);
+    }
+
+    const tickets = [];
+    let ticket = null;
+    for (const e of events) {
+      if (
+        e.ticket ||
+        !ACTIVITY_EVENTS.has(e.event)
+      ) {
+        ticket = e.ticket;
+      }
+      tickets.push(ticket);
+    }
+
+    const phased = events.some(
+      (e) => e.event === 'Stop'
+    );
+
+    const seenTurns = new Set();
+    const tokens = events.map((e) => {
+      if (!e.tokens) return null;
+      if (e.turn) {
+        if (seenTurns.has(e.turn)) {
+          return null;
+        }
+        seenTurns.add(e.turn);
+      }
+      return addTokens({}, e.tokens);
+    });
+
+    const zeroSlice = (e, i, extra) => ({
+      session: sid,
+      project: e.project,
+      rawProject: e.rawProject,
+      client: e.client,
+      ticket: tickets[i],
+      model: models[i],
+      date: dateKey(new Date(e.ts), tz),
+      seconds: 0,
+      isPrompt: false,
+      ...extra,
+    });
+
+    if (tokens[0]) {
+      slices.push(zeroSlice(
+        events[0], 0, { tokens: tokens[0] }
+      ));
+    }
+
     for (
       let i = 0;
       i < events.length - 1;
@@ -104,31 +456,51 @@ function buildSlices(entries, breakMs) {
       const t1 =
         new Date(next.ts).getTime();
       const gap = t1 - t0;
+      const carried = tokens[i + 1]
+        ? { tokens: tokens[i + 1] }
+        : {};
 
       if (gap > 0 && gap < breakMs) {
-        slices.push({
-          session: sid,
-          project: curr.project,
-          ticket: curr.ticket,
-          model: curr.model,
-          date: dateKey(new Date(t0)),
-          seconds: gap / 1000,
-          isPrompt:
-            curr.event ===
-            'UserPromptSubmit',
-        });
-      } else if (
-        curr.event === 'UserPromptSubmit'
-      ) {
-        slices.push({
-          session: sid,
-          project: curr.project,
-          ticket: curr.ticket,
-          model: curr.model,
-          date: dateKey(new Date(t0)),
-          seconds: 0,
-          isPrompt: true,
+        // A gap across midnight is shared
+        // between the days it touches; only
+        // the first piece carries the prompt.
+        const pieces =
+          splitByDay(t0, t1, tz);
+        pieces.forEach((p, j) => {
+          slices.push({
+            session: sid,
+            project: curr.project,
+            rawProject: curr.rawProject,
+            client: curr.client,
+            ticket: tickets[i],
+            cwd: curr.cwd,
+            model: models[i],
+            tool:
+              curr.event === 'PreToolUse'
+                ? curr.tool || null
+                : null,
+            phase: phased
+              ? phaseOf(curr.event)
+              : null,
+            date: p.date,
+            start: p.start,
+            end: p.end,
+            seconds: (p.end - p.start) / 1000,
+            isPrompt:
+              j === 0 &&
+              curr.event ===
+              'UserPromptSubmit',
+            ...(j === 0 ? carried : {}),
+          });
         });
+      } else {
+        const isPrompt =
+          curr.event === 'UserPromptSubmit';
+        if (isPrompt || carried.tokens) {
+          slices.push(zeroSlice(
+            curr, i, { isPrompt, ...carried }
+          ));
+        }
       }
     }
 
@@ -137,27 +509,109 @@ function buildSlices(entries, breakMs) {
     if (
       last?.event === 'UserPromptSubmit'
     ) {
-      slices.push({
-        session: sid,
-        project: last.project,
-        ticket: last.ticket,
-        model: last.model,
-        date: dateKey(
-          new Date(last.ts)
-        ),
-        seconds: 0,
-        isPrompt: true,
-      });
+      slices.push(zeroSlice(
+        last, events.length - 1,
+        { isPrompt: true }
+      ));
     }
   }
 
   return slices;
 }
 
+// ── Overlap ─────────────────────────────
+
+// Concurrent sessions each log their own
+// active time, so summing slices can exceed
+// elapsed time. mergeOverlaps re-shares
+// every stretch of wall-clock time covered
+// by several slices:
+//   sum   — leave slices as they are
+//   first — the slice that started first
+//           keeps the overlap
+//   split — divide it evenly between the
+//           concurrent slices
+// Zero-length (prompt-only) slices pass
+// through untouched.
+function mergeOverlaps(slices, policy) {
+  if (!policy || policy === 'sum') {
+    return slices;
+  }
+  const timed = slices.filter(
+    (s) => s.end > s.start
+  );
+  const points = [];
+  timed.forEach((s, i) => {
+    points.push([s.start, 1, i]);
+    points.push([s.end, -1, i]);
+  });
+  // Ends sort before starts at the same
+  // instant so touching slices don't count
+  // as overlapping.
+  points.sort(
+    (a, b) => a[0] - b[0] || a[1] - b[1]
+  );
+
+  const shares = new Array(timed.length)
+    .fill(0);
+  const open = new Set();
+  let prev = null;
+  for (const [t, kind, i] of points) {
+    if (open.size > 0 && t > prev) {
+      const ms = t - prev;
+      if (policy === 'first') {
+        let owner = null;
+        for (const j of open) {
+          const a = timed[j];
+          const b = owner === null
+            ? null : timed[owner];
+          if (
+            !b ||
+            a.start < b.start ||
+            (a.start === b.start &&
+              a.session < b.session)
+          ) {
+            owner = j;
+          }
+        }
+        shares[owner] += ms;
+      } else {
+        for (const j of open) {
+          shares[j] += ms / open.size;
+        }
+      }
+    }
+    if (kind === 1) open.add(i);
+    else open.delete(i);
+    prev = t;
+  }
+
+  const index = new Map(
+    timed.map((s, i) => [s, i])
+  );
+  return slices.map((s) =>
+    index.has(s)
+      ? {
+        ...s,
+        seconds: shares[index.get(s)] / 1000,
+      }
+      : s
+  );
+}
+
 // ── Filtering ───────────────────────────
 
 function filterSlices(slices, opts = {}) {
   let result = slices;
+  if (opts.client) {
+    const fc = opts.client.toLowerCase();
+    result = result.filter(
+      (s) =>
+        (s.client || '')
+          .toLowerCase()
+          .includes(fc)
+    );
+  }
   if (opts.project) {
     const fp = opts.project.toLowerCase();
     result = result.filter(
@@ -176,9 +630,173 @@ function filterSlices(slices, opts = {}) {
           .includes(ft)
     );
   }
+  // Inclusive YYYY-MM-DD bounds
+  if (opts.from) {
+    result = result.filter(
+      (s) => s.date >= opts.from
+    );
+  }
+  if (opts.to) {
+    result = result.filter(
+      (s) => s.date <= opts.to
+    );
+  }
   return result;
 }
 
+// ── Rounding ────────────────────────────
+//
+// config.rounding = {
+//   increment: minutes,
+//   mode: 'up' | 'nearest' | 'down',
+//   scope: 'slice' | 'day' | 'line',
+// }
+//
+// Each slice gains a `billed` figure next
+// to its raw `seconds`. For 'slice' scope
+// every slice is rounded on its own. For
+// 'day' (date + project + ticket) and 'line'
+// (one report line) the group total is
+// rounded and spread back over its slices
+// in proportion, so a view that sums slices
+// agrees with the rounded totals. A line is
+// project + ticket unless `lineKey` names
+// the rows of another view (by day, by
+// model, a grid cell).
+
+// Keys use the names the views print, so a
+// missing ticket is one '(untracked)' line
+// whether it was logged as null or absent.
+const lineOf = (s) =>
+  `${s.project || '(unknown)'}\t` +
+  (s.ticket || '(untracked)');
+
+const ROUNDING_SCOPES = {
+  slice: null,
+  day: (s) => `${s.date}\t${lineOf(s)}`,
+  line: lineOf,
+};
+
+function roundSeconds(seconds, rounding) {
+  if (!rounding || !seconds) return seconds;
+  const step = rounding.increment * 60;
+  // Trim float noise so 900.0000001s does
+  // not round up to a second increment
+  const units =
+    Math.round((seconds / step) * 1e6) / 1e6;
+  const fn =
+    rounding.mode === 'up' ? Math.ceil
+      : rounding.mode === 'down'
+        ? Math.floor
+        : Math.round;
+  return fn(units) * step;
+}
+
+function applyRounding(
+  slices, rounding, lineKey
+) {
+  if (!rounding) return slices;
+  const keyFn =
+    rounding.scope === 'line' && lineKey
+      ? lineKey
+      : ROUNDING_SCOPES[rounding.scope];
+  if (!keyFn) {
+    return slices.map((s) => ({
+      ...s,
+      billed: roundSeconds(
+        s.seconds, rounding
+      ),
+    }));
+  }
+  const raw = new Map();
+  for (const s of slices) {
+    const key = keyFn(s);
+    raw.set(
+      key, (raw.get(key) || 0) + s.seconds
+    );
+  }
+  return slices.map((s) => {
+    const total = raw.get(keyFn(s));
+    const ratio = total
+      ? roundSeconds(total, rounding) / total
+      : 0;
+    return {
+      ...s,
+      billed: s.seconds * ratio,
+    };
+  });
+}
+
+function billedOf(s) {
+  return s.billed ?? s.seconds;
+}
+
+// ── Token cost ──────────────────────────
+//
+// config.prices = {
+//   currency: 'USD',
+//   models: {
+//     'claude-opus-4': {
+//       input: 15, output: 75,
+//       cacheRead: 1.5, cacheWrite: 18.75,
+//     },
+//   },
+// }
+//
+// Prices are per million tokens. A model
+// name matches exactly or by the longest
+// configured prefix, so 'claude-opus-4'
+// covers every dated opus 4 release.
+
+function priceFor(prices, model) {
+  const models = prices?.models;
+  if (!models || !model) return null;
+  if (Object.hasOwn(models, model)) {
+    return models[model];
+  }
+  let best = null;
+  for (const name of Object.keys(models)) {
+    if (
+      model.startsWith(name) &&
+      (!best || name.length > best.length)
+    ) {
+      best = name;
+    }
+  }
+  return best ? models[best] : null;
+}
+
+function tokenCost(tokens, price) {
+  let cost = 0;
+  for (const k of TOKEN_KEYS) {
+    cost +=
+      ((tokens[k] || 0) * (price[k] || 0)) /
+      1e6;
+  }
+  return cost;
+}
+
+// Each slice with tokens gains a `cost`;
+// null when its model has no price, so the
+// totals can flag unpriced usage.
+function applyPrices(slices, prices) {
+  if (!prices?.models) return slices;
+  return slices.map((s) => {
+    if (!s.tokens) return s;
+    const price = priceFor(prices, s.model);
+    return {
+      ...s,
+      cost: price
+        ? tokenCost(s.tokens, price)
+        : null,
+    };
+  });
+}
+
+function hasTokens(slices) {
+  return slices.some((s) => s.tokens);
+}
+
 // ── Aggregation ─────────────────────────
 
 function aggregate(slices, keyFn) {
@@ -191,27 +809,78 @@ function aggregate(slices, keyFn) {
         sessions: new Set(),
         prompts: 0,
         active: 0,
+        billed: 0,
       });
     }
     const g = groups.get(key);
     g.sessions.add(s.session);
     if (s.isPrompt) g.prompts += 1;
     g.active += s.seconds;
+    g.billed += billedOf(s);
+    addPhase(g, s);
+    addSliceTokens(g, s);
   }
   const result = new Map();
   for (const [key, g] of groups) {
     result.set(key, {
+      ...g,
       sessions: g.sessions.size,
-      prompts: g.prompts,
-      active: g.active,
     });
   }
   return result;
 }
 
+// tokens and cost only appear once a slice
+// carries them; unpriced marks tokens that
+// could not be costed (unknown model).
+function addSliceTokens(into, s) {
+  if (!s.tokens) return;
+  into.tokens = addTokens(
+    into.tokens || {}, s.tokens
+  );
+  if (s.cost === undefined) return;
+  if (s.cost === null) {
+    into.unpriced = true;
+  } else {
+    into.cost = (into.cost || 0) + s.cost;
+  }
+}
+
+// agent / review seconds, only present for
+// slices that carry a phase.
+function addPhase(into, s) {
+  if (!s.phase) return;
+  into[s.phase] =
+    (into[s.phase] || 0) + s.seconds;
+}
+
+function sumSlices(slices) {
+  const sessions = new Set();
+  const tot = {
+    sessions: 0,
+    prompts: 0,
+    active: 0,
+    billed: 0,
+  };
+  for (const s of slices) {
+    sessions.add(s.session);
+    if (s.isPrompt) tot.prompts += 1;
+    tot.active += s.seconds;
+    tot.billed += billedOf(s);
+    addPhase(tot, s);
+    addSliceTokens(tot, s);
+  }
+  tot.sessions = sessions.size;
+  return tot;
+}
+
 // ── Formatting ──────────────────────────
 
-function fmtDur(seconds) {
+function fmtDur(raw) {
+  // Billed time spread over slices can sum
+  // to 899.99…s; read that as 15m.
+  const seconds =
+    Math.round(raw * 1000) / 1000;
   if (!seconds) return '0m';
   const h = Math.floor(seconds / 3600);
   const m = Math.floor(
@@ -236,13 +905,32 @@ const MONTHS = [
   'Sep', 'Oct', 'Nov', 'Dec',
 ];
 
+// Keys are already zone-resolved, so read
+// them back in UTC to stay independent of
+// the system timezone.
 function fmtDate(iso) {
-  const d = new Date(iso + 'T12:00:00');
+  const d = new Date(iso + 'T12:00:00Z');
   const dd =
-    d.getDate().toString().padStart(2);
+    d.getUTCDate().toString().padStart(2);
   return (
-    `${DAYS[d.getDay()]} ${dd} ` +
-    MONTHS[d.getMonth()]
+    `${DAYS[d.getUTCDay()]} ${dd} ` +
+    MONTHS[d.getUTCMonth()]
+  );
+}
+
+// 950, 12.3k, 4.5M
+function fmtTokens(n) {
+  if (!n) return '0';
+  if (n < 1e3) return String(n);
+  if (n < 1e6) {
+    return `${(n / 1e3).toFixed(1)}k`;
+  }
+  return `${(n / 1e6).toFixed(1)}M`;
+}
+
+function totalTokens(tokens) {
+  return TOKEN_KEYS.reduce(
+    (n, k) => n + (tokens?.[k] || 0), 0
   );
 }
 
@@ -273,23 +961,27 @@ function buildDayProjectTicket(slices) {
         project: proj,
         prompts: 0,
         active: 0,
+        billed: 0,
         tickets: new Map(),
       });
     }
     const pg = dayMap.get(pk);
     if (s.isPrompt) pg.prompts += 1;
     pg.active += s.seconds;
+    pg.billed += billedOf(s);
 
     if (tkt) {
       if (!pg.tickets.has(tkt)) {
         pg.tickets.set(tkt, {
           prompts: 0,
           active: 0,
+          billed: 0,
         });
       }
       const tg = pg.tickets.get(tkt);
       if (s.isPrompt) tg.prompts += 1;
       tg.active += s.seconds;
+      tg.billed += billedOf(s);
     }
   }
   return days;
@@ -307,6 +999,7 @@ function buildTimesheet(slices) {
         sessions: new Set(),
         prompts: 0,
         active: 0,
+        billed: 0,
         tickets: new Map(),
       });
     }
@@ -314,6 +1007,8 @@ function buildTimesheet(slices) {
     pg.sessions.add(s.session);
     if (s.isPrompt) pg.prompts += 1;
     pg.active += s.seconds;
+    pg.billed += billedOf(s);
+    addPhase(pg, s);
 
     const tkt =
       s.ticket || '(untracked)';
@@ -322,82 +1017,1426 @@ function buildTimesheet(slices) {
         sessions: new Set(),
         prompts: 0,
         active: 0,
+        billed: 0,
       });
     }
     const tg = pg.tickets.get(tkt);
     tg.sessions.add(s.session);
     if (s.isPrompt) tg.prompts += 1;
     tg.active += s.seconds;
+    tg.billed += billedOf(s);
+    addPhase(tg, s);
   }
   return projects;
 }
 
-// ── Exports ─────────────────────────────
+// ── Timesheet: Client → Project ─────────
+//
+// When slices carry clients the timesheet
+// gains a client tier: each client has its
+// own totals (the subtotal) and a project →
+// ticket timesheet of its slices.
 
-export {
-  startOfWeek,
-  dateKey,
-  buildSlices,
-  filterSlices,
-  aggregate,
-  fmtDur,
-  fmtDate,
-  trunc,
-  buildDayProjectTicket,
-  buildTimesheet,
-  parseEntries,
-};
+function hasClients(slices) {
+  return slices.some((s) => s.client);
+}
 
-// ── CLI (only when run directly) ────────
+function buildClientTimesheet(slices) {
+  const groups = new Map();
+  for (const s of slices) {
+    const client = s.client || '(no client)';
+    if (!groups.has(client)) {
+      groups.set(client, []);
+    }
+    groups.get(client).push(s);
+  }
+  const clients = [];
+  for (const [client, list] of groups) {
+    clients.push([client, {
+      ...sumSlices(list),
+      projects: buildTimesheet(list),
+      slices: list,
+    }]);
+  }
+  return new Map(clients.sort(byActiveDesc));
+}
 
-if (
-  process.argv[1] ===
-  fileURLToPath(import.meta.url)
+// ── Timesheet pivot ─────────────────────
+//
+// Project → ticket rows against period
+// columns (e.g. weeks). colFn maps a slice
+// to its column key; columns sort by key so
+// date-based keys read left to right.
+
+function addCell(row, col, seconds) {
+  row.cells.set(
+    col, (row.cells.get(col) || 0) + seconds
+  );
+  row.total += seconds;
+}
+
+// Cells sum `valueFn` as in buildGrid.
+function buildPivot(
+  slices, colFn, valueFn = (s) => s.seconds
 ) {
-  const USAGE = `Usage: report.mjs [options]
+  const columns = new Set();
+  const projects = new Map();
+  const totals = { cells: new Map(), total: 0 };
+  for (const s of slices) {
+    const col = colFn(s);
+    columns.add(col);
+    const proj =
+      s.project || '(unknown)';
+    if (!projects.has(proj)) {
+      projects.set(proj, {
+        cells: new Map(),
+        total: 0,
+        tickets: new Map(),
+      });
+    }
+    const pg = projects.get(proj);
+    const tkt =
+      s.ticket || '(untracked)';
+    if (!pg.tickets.has(tkt)) {
+      pg.tickets.set(tkt, {
+        cells: new Map(),
+        total: 0,
+      });
+    }
+    const value = valueFn(s);
+    addCell(pg, col, value);
+    addCell(
+      pg.tickets.get(tkt), col, value
+    );
+    addCell(totals, col, value);
+  }
+  return {
+    columns: [...columns].sort(),
+    projects,
+    totals,
+  };
+}
 
-Period:
-  --week          This week (default)
-  --month         This month
+// Plain-object form for --json, with rows
+// sorted by total like the timesheet.
+function pivotJson(pivot) {
+  const byTotal = (a, b) =>
+    b[1].total - a[1].total;
+  const cells = (row) =>
+    Object.fromEntries(row.cells);
+  return {
+    columns: pivot.columns,
+    projects: [...pivot.projects]
+      .sort(byTotal)
+      .map(([project, pg]) => ({
+        project,
+        cells: cells(pg),
+        total: pg.total,
+        tickets: [...pg.tickets]
+          .sort(byTotal)
+          .map(([ticket, tg]) => ({
+            ticket,
+            cells: cells(tg),
+            total: tg.total,
+          })),
+      })),
+    totals: cells(pivot.totals),
+    total: pivot.totals.total,
+  };
+}
 
-Grouping:
-  --by-project    Group by project (default)
-  --by-ticket     Group by ticket
-  --by-model      Group by model
-  --by-day        Group by day
-  --timesheet     Project → ticket breakdown
+// ── Grid ────────────────────────────────
+//
+// One row dimension (project, ticket or
+// model) against one column dimension
+// (day, week or month). `columns` pre-fills
+// periods with no activity.
+
+// Cells sum `valueFn` (raw seconds by
+// default; billedOf for billed time).
+function buildGrid(
+  slices, rowFn, colFn, columns = [],
+  valueFn = (s) => s.seconds
+) {
+  const cols = new Set(columns);
+  const rows = new Map();
+  const totals = { cells: new Map(), total: 0 };
+  for (const s of slices) {
+    const col = colFn(s);
+    const key = rowFn(s);
+    cols.add(col);
+    if (!rows.has(key)) {
+      rows.set(key, {
+        cells: new Map(),
+        total: 0,
+      });
+    }
+    const value = valueFn(s);
+    addCell(rows.get(key), col, value);
+    addCell(totals, col, value);
+  }
+  return {
+    columns: [...cols].sort(),
+    rows,
+    totals,
+  };
+}
 
-Filters:
-  --from DATE     Start date (YYYY-MM-DD)
-  --to DATE       End date (YYYY-MM-DD)
-  --project NAME  Filter by project
-  --ticket ID     Filter by ticket
+function sortedGridRows(grid) {
+  return [...grid.rows].sort(
+    (a, b) => b[1].total - a[1].total
+  );
+}
 
-Output:
-  --json          JSON output
-  --help          Show this help
+function gridJson(grid) {
+  const cells = (row) =>
+    Object.fromEntries(row.cells);
+  return {
+    columns: grid.columns,
+    rows: sortedGridRows(grid).map(
+      ([key, row]) => ({
+        key,
+        cells: cells(row),
+        total: row.total,
+      })
+    ),
+    totals: cells(grid.totals),
+    total: grid.totals.total,
+  };
+}
 
-Examples:
-  report.mjs --week --by-ticket
-  report.mjs --from 2026-02-01 --to 2026-02-14
-  report.mjs --timesheet --project my-app`;
+// ── Invoice ─────────────────────────────
+//
+// Prices the timesheet using config.rates.
+// Billed time (after any configured
+// rounding) is rounded to 2dp hours per line
+// before multiplying so line amounts,
+// subtotals and the grand total always add
+// up on paper. Raw seconds are kept for
+// auditing.
+
+function roundHours(seconds) {
+  return Math.round(seconds / 36) / 100;
+}
 
-  const KNOWN_FLAGS = new Set([
-    '--week', '--month',
-    '--by-project', '--by-ticket',
-    '--by-model', '--by-day',
-    '--timesheet',
-    '--from', '--to',
-    '--project', '--ticket',
-    '--json', '--help',
-  ]);
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
 
-  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+// Own keys only, so a project named
+// `constructor` gets no rate from
+// Object.prototype.
+function ownRate(map, key) {
+  return (
+    map &&
+    key != null &&
+    Object.hasOwn(map, key) &&
+    Number.isFinite(map[key])
+  )
+    ? map[key]
+    : null;
+}
 
-  const config = loadConfig();
-  const breakMs =
-    (config.breakThreshold || 1800)
-    * 1000;
+function rateFor(rates, project, ticket) {
+  return (
+    ownRate(rates?.tickets, ticket) ??
+    ownRate(rates?.projects, project)
+  );
+}
+
+// Amounts stay null until a priced line
+// adds to them, so a project with no rate
+// shows a blank amount rather than zero.
+function addAmount(total, amount) {
+  return amount === null
+    ? total
+    : roundMoney((total ?? 0) + amount);
+}
+
+function buildInvoice(projects, rates) {
+  const invoice = {
+    currency: rates?.currency || null,
+    projects: [],
+    seconds: 0,
+    hours: 0,
+    amount: null,
+  };
+  for (
+    const [proj, pg] of
+    [...projects].sort(byActiveDesc)
+  ) {
+    const group = {
+      project: proj,
+      lines: [],
+      seconds: 0,
+      hours: 0,
+      amount: null,
+    };
+    const tickets =
+      [...pg.tickets].sort(byActiveDesc);
+    for (const [tkt, tg] of tickets) {
+      const hours = roundHours(
+        tg.billed ?? tg.active
+      );
+      const rate = rateFor(
+        rates, proj,
+        tkt === '(untracked)' ? null : tkt
+      );
+      const amount = rate === null
+        ? null
+        : roundMoney(hours * rate);
+      group.lines.push({
+        ticket: tkt,
+        seconds: tg.active,
+        hours,
+        rate,
+        amount,
+      });
+      group.seconds += tg.active;
+      group.hours += hours;
+      group.amount =
+        addAmount(group.amount, amount);
+    }
+    group.hours = roundMoney(group.hours);
+    invoice.projects.push(group);
+    invoice.seconds += group.seconds;
+    invoice.hours += group.hours;
+    invoice.amount = addAmount(
+      invoice.amount, group.amount
+    );
+  }
+  invoice.hours = roundMoney(invoice.hours);
+  return invoice;
+}
+
+function fmtMoney(amount, currency) {
+  if (amount === null) return '\u2014';
+  if (!currency) return amount.toFixed(2);
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+  }).format(amount);
+}
+
+// ── CSV ─────────────────────────────────
+//
+// One row per leaf group so spreadsheet
+// column sums equal the report totals.
+// Hours are decimal (2dp) next to the
+// fmtDur string for billing tools.
+
+function fmtHours(seconds) {
+  return (seconds / 3600).toFixed(2);
+}
+
+function csvEscape(value) {
+  const str = String(value ?? '');
+  if (!/[",\r\n]/.test(str)) return str;
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+function toCsv(rows) {
+  return rows
+    .map((r) => r.map(csvEscape).join(','))
+    .join('\n') + '\n';
+}
+
+function byActiveDesc(a, b) {
+  return b[1].active - a[1].active;
+}
+
+// Date-keyed groupings (opts.byKey) read
+// chronologically; the rest lead with the
+// largest group.
+function sortGroups(groups, opts = {}) {
+  return opts.byKey
+    ? [...groups].sort(
+      (a, b) => a[0].localeCompare(b[0])
+    )
+    : [...groups].sort(byActiveDesc);
+}
+
+// Active/billed columns. Billed figures only
+// appear when rounding is configured
+// (opts.billed), so plain reports keep
+// their original shape.
+
+function csvDurHeaders(opts) {
+  return opts.billed
+    ? ['Active', 'Hours',
+      'Billed', 'Billed Hours']
+    : ['Active', 'Hours'];
+}
+
+function csvDurCells(active, billed, opts) {
+  const cells = [
+    fmtDur(active), fmtHours(active),
+  ];
+  if (opts.billed) {
+    cells.push(
+      fmtDur(billed), fmtHours(billed)
+    );
+  }
+  return cells;
+}
+
+function csvDayProject(days, opts = {}) {
+  const rows = [[
+    'Date', 'Project', 'Ticket',
+    ...csvDurHeaders(opts), 'Prompts',
+  ]];
+  for (const dk of [...days.keys()].sort()) {
+    const projects =
+      [...days.get(dk).values()]
+        .sort((a, b) => b.active - a.active);
+    for (const pg of projects) {
+      let restActive = pg.active;
+      let restBilled = pg.billed ?? pg.active;
+      let restPrompts = pg.prompts;
+      const tickets =
+        [...pg.tickets].sort(byActiveDesc);
+      for (const [tkt, tg] of tickets) {
+        const billed = tg.billed ?? tg.active;
+        restActive -= tg.active;
+        restBilled -= billed;
+        restPrompts -= tg.prompts;
+        rows.push([
+          dk, pg.project, tkt,
+          ...csvDurCells(
+            tg.active, billed, opts
+          ),
+          tg.prompts,
+        ]);
+      }
+      // Time with no ticket detected
+      if (
+        restPrompts > 0 ||
+        restActive >= 0.001
+      ) {
+        rows.push([
+          dk, pg.project, '',
+          ...csvDurCells(
+            Math.max(0, restActive),
+            Math.max(0, restBilled),
+            opts
+          ),
+          restPrompts,
+        ]);
+      }
+    }
+  }
+  return toCsv(rows);
+}
+
+function csvTimesheetHeader(opts) {
+  return [
+    'Project', 'Ticket',
+    ...csvDurHeaders(opts),
+    'Sessions', 'Prompts',
+    ...csvPhaseHeaders(opts),
+  ];
+}
+
+function csvTimesheet(projects, opts = {}) {
+  return toCsv([
+    csvTimesheetHeader(opts),
+    ...csvTimesheetRows(projects, opts),
+  ]);
+}
+
+// One row per client / project / ticket;
+// sum a client's rows for its subtotal.
+function csvClientTimesheet(
+  clients, opts = {}
+) {
+  const rows = [
+    ['Client', ...csvTimesheetHeader(opts)],
+  ];
+  for (const [client, cg] of clients) {
+    for (
+      const row of
+      csvTimesheetRows(cg.projects, opts)
+    ) {
+      rows.push([client, ...row]);
+    }
+  }
+  return toCsv(rows);
+}
+
+function csvTimesheetRows(projects, opts) {
+  const rows = [];
+  for (
+    const [proj, pg] of
+    [...projects].sort(byActiveDesc)
+  ) {
+    const tickets =
+      [...pg.tickets].sort(byActiveDesc);
+    for (const [tkt, tg] of tickets) {
+      rows.push([
+        proj, tkt,
+        ...csvDurCells(
+          tg.active,
+          tg.billed ?? tg.active,
+          opts
+        ),
+        tg.sessions.size,
+        tg.prompts,
+        ...csvPhaseCells(tg, opts),
+      ]);
+    }
+  }
+  return rows;
+}
+
+// Agent / review hours when opts.phases is
+// set (the logs include Stop events).
+function csvPhaseHeaders(opts) {
+  return opts.phases
+    ? ['Agent Hours', 'Review Hours']
+    : [];
+}
+
+function csvPhaseCells(g, opts) {
+  return opts.phases
+    ? [
+      fmtHours(g.agent || 0),
+      fmtHours(g.review || 0),
+    ]
+    : [];
+}
+
+// Token columns follow the durations when
+// opts.tokens is set; opts.cost names the
+// currency of the estimated cost column.
+function csvTokenHeaders(opts) {
+  if (!opts.tokens) return [];
+  const headers = [
+    'Input Tokens', 'Output Tokens',
+    'Cache Read Tokens', 'Cache Write Tokens',
+  ];
+  if (opts.cost) {
+    headers.push(`Est. Cost (${opts.cost})`);
+  }
+  return headers;
+}
+
+function csvTokenCells(g, opts) {
+  if (!opts.tokens) return [];
+  const cells = TOKEN_KEYS.map(
+    (k) => g.tokens?.[k] || 0
+  );
+  if (opts.cost) {
+    cells.push(
+      g.cost === undefined
+        ? '' : g.cost.toFixed(2)
+    );
+  }
+  return cells;
+}
+
+function csvGroup(label, groups, opts = {}) {
+  const rows = [[
+    label, ...csvDurHeaders(opts),
+    'Sessions', 'Prompts',
+    ...csvPhaseHeaders(opts),
+    ...csvTokenHeaders(opts),
+  ]];
+  for (
+    const [key, g] of sortGroups(groups, opts)
+  ) {
+    rows.push([
+      key,
+      ...csvDurCells(
+        g.active, g.billed ?? g.active, opts
+      ),
+      g.sessions,
+      g.prompts,
+      ...csvPhaseCells(g, opts),
+      ...csvTokenCells(g, opts),
+    ]);
+  }
+  return toCsv(rows);
+}
+
+// Decimal hours in every cell (0.00 when
+// idle) so the sheet can be summed as-is.
+// With a `raw` grid the cells are billed
+// time and a Raw column audits each row.
+function csvGrid(label, grid, raw) {
+  const hours = (row, rawRow) => [
+    ...grid.columns.map((k) =>
+      fmtHours(row.cells.get(k) || 0)
+    ),
+    fmtHours(row.total),
+    ...(raw ? [fmtHours(rawRow.total)] : []),
+  ];
+  const rows = [[
+    label, ...grid.columns, 'Total',
+    ...(raw ? ['Raw'] : []),
+  ]];
+  for (const [key, row] of sortedGridRows(grid)) {
+    rows.push([
+      key, ...hours(row, raw?.rows.get(key)),
+    ]);
+  }
+  rows.push([
+    'Total',
+    ...hours(grid.totals, raw?.totals),
+  ]);
+  return toCsv(rows);
+}
+
+function csvFolded(folded) {
+  const rows = [[
+    'Project', 'Raw Name', 'Active', 'Hours',
+  ]];
+  for (const [proj, p] of folded) {
+    for (
+      const [raw, secs] of
+      [...p.names].sort((a, b) => b[1] - a[1])
+    ) {
+      rows.push([
+        proj, raw,
+        fmtDur(secs), fmtHours(secs),
+      ]);
+    }
+  }
+  return toCsv(rows);
+}
+
+function csvInvoice(invoice, opts = {}) {
+  const rows = [[
+    'Project', 'Ticket',
+    ...(opts.billed ? ['Raw Hours'] : []),
+    'Hours', 'Rate', 'Amount', 'Currency',
+  ]];
+  for (const pg of invoice.projects) {
+    for (const line of pg.lines) {
+      rows.push([
+        pg.project, line.ticket,
+        ...(opts.billed
+          ? [fmtHours(line.seconds)]
+          : []),
+        line.hours.toFixed(2),
+        line.rate ?? '',
+        line.amount === null
+          ? '' : line.amount.toFixed(2),
+        invoice.currency || '',
+      ]);
+    }
+  }
+  return toCsv(rows);
+}
+
+// ── Markdown / HTML ─────────────────────
+//
+// Both renderers share a neutral table
+// model built from the same structures the
+// text views print:
+//   { headers, align, rows, total }
+// where each row is { cells, sub } and
+// `sub` marks a ticket nested under its
+// project.
+
+function durHeaders(opts) {
+  return opts.billed
+    ? ['Active', 'Billed']
+    : ['Active'];
+}
+
+function durCells(g, opts) {
+  return opts.billed
+    ? [
+      fmtDur(g.active),
+      fmtDur(g.billed ?? g.active),
+    ]
+    : [fmtDur(g.active)];
+}
+
+function phaseHeaders(opts) {
+  return opts.phases
+    ? ['Agent', 'Review']
+    : [];
+}
+
+function phaseCells(g, opts) {
+  return opts.phases
+    ? [
+      fmtDur(g.agent || 0),
+      fmtDur(g.review || 0),
+    ]
+    : [];
+}
+
+function addPhaseTotals(into, g) {
+  for (const k of ['agent', 'review']) {
+    if (g[k]) into[k] = (into[k] || 0) + g[k];
+  }
+}
+
+// In / Out / Cache (read + write) token
+// counts, plus the estimated cost when
+// opts.cost holds a currency.
+function tokenHeaders(opts) {
+  if (!opts.tokens) return [];
+  return opts.cost
+    ? ['In', 'Out', 'Cache', 'Cost']
+    : ['In', 'Out', 'Cache'];
+}
+
+function tokenCells(g, opts) {
+  if (!opts.tokens) return [];
+  const t = g.tokens || {};
+  const cells = [
+    fmtTokens(t.input),
+    fmtTokens(t.output),
+    fmtTokens(
+      (t.cacheRead || 0) + (t.cacheWrite || 0)
+    ),
+  ];
+  if (opts.cost) {
+    cells.push(fmtMoney(
+      g.cost ?? null, opts.cost
+    ));
+  }
+  return cells;
+}
+
+// The first `left` columns hold names and
+// dates; the rest are right-aligned figures.
+function alignFor(headers, left) {
+  return headers.map(
+    (_, i) => (i < left ? 'left' : 'right')
+  );
+}
+
+function dayProjectTable(days, opts = {}) {
+  const rows = [];
+  const tot = { active: 0, billed: 0 };
+  let prompts = 0;
+  for (const dk of [...days.keys()].sort()) {
+    const projects =
+      [...days.get(dk).values()]
+        .sort((a, b) => b.active - a.active);
+    let showDate = true;
+    for (const pg of projects) {
+      tot.active += pg.active;
+      tot.billed += pg.billed ?? pg.active;
+      prompts += pg.prompts;
+      rows.push({
+        cells: [
+          showDate ? fmtDate(dk) : '',
+          pg.project,
+          ...durCells(pg, opts),
+          String(pg.prompts),
+        ],
+        sub: false,
+      });
+      showDate = false;
+      const tickets =
+        [...pg.tickets].sort(byActiveDesc);
+      for (const [tkt, tg] of tickets) {
+        rows.push({
+          cells: [
+            '', tkt,
+            ...durCells(tg, opts),
+            String(tg.prompts),
+          ],
+          sub: true,
+        });
+      }
+    }
+  }
+  const headers = [
+    'Date', 'Project / Ticket',
+    ...durHeaders(opts), 'Prompts',
+  ];
+  return {
+    headers,
+    align: alignFor(headers, 2),
+    rows,
+    total: [
+      'Total', '',
+      ...durCells(tot, opts),
+      String(prompts),
+    ],
+  };
+}
+
+// One row per client subtotal, closed by
+// the grand total the per-client tables
+// leave out.
+function clientTotalsTable(
+  clients, opts = {}
+) {
+  const rows = [...clients].map(
+    ([client, cg]) => ({
+      cells: [
+        client,
+        ...durCells(cg, opts),
+        String(cg.sessions),
+        String(cg.prompts),
+        ...phaseCells(cg, opts),
+      ],
+      sub: false,
+    })
+  );
+  const tot = sumSlices(
+    [...clients.values()].flatMap(
+      (cg) => cg.slices
+    )
+  );
+  const headers = [
+    'Client',
+    ...durHeaders(opts),
+    'Sess', 'Prompts',
+    ...phaseHeaders(opts),
+  ];
+  return {
+    headers,
+    align: alignFor(headers, 1),
+    rows,
+    total: [
+      'Total',
+      ...durCells(tot, opts),
+      String(tot.sessions),
+      String(tot.prompts),
+      ...phaseCells(tot, opts),
+    ],
+  };
+}
+
+function timesheetTable(projects, opts = {}) {
+  const rows = [];
+  const sessions = new Set();
+  const tot = { active: 0, billed: 0 };
+  let prompts = 0;
+  for (
+    const [proj, pg] of
+    [...projects].sort(byActiveDesc)
+  ) {
+    for (const s of pg.sessions) {
+      sessions.add(s);
+    }
+    tot.active += pg.active;
+    tot.billed += pg.billed ?? pg.active;
+    addPhaseTotals(tot, pg);
+    prompts += pg.prompts;
+    rows.push({
+      cells: [
+        proj,
+        ...durCells(pg, opts),
+        String(pg.sessions.size),
+        String(pg.prompts),
+        ...phaseCells(pg, opts),
+      ],
+      sub: false,
+    });
+    const tickets =
+      [...pg.tickets].sort(byActiveDesc);
+    for (const [tkt, tg] of tickets) {
+      rows.push({
+        cells: [
+          tkt,
+          ...durCells(tg, opts),
+          String(tg.sessions.size),
+          String(tg.prompts),
+          ...phaseCells(tg, opts),
+        ],
+        sub: true,
+      });
+    }
+  }
+  const headers = [
+    'Project / Ticket',
+    ...durHeaders(opts),
+    'Sess', 'Prompts',
+    ...phaseHeaders(opts),
+  ];
+  return {
+    headers,
+    align: alignFor(headers, 1),
+    rows,
+    total: [
+      'Total',
+      ...durCells(tot, opts),
+      String(sessions.size),
+      String(prompts),
+      ...phaseCells(tot, opts),
+    ],
+  };
+}
+
+// Sessions can span groups, so the total
+// row leaves that column blank rather than
+// summing a double-counted figure.
+function groupTable(label, groups, opts = {}) {
+  const tot = { active: 0, billed: 0 };
+  let prompts = 0;
+  const rows = sortGroups(groups, opts)
+    .map(([key, g]) => {
+      tot.active += g.active;
+      tot.billed += g.billed ?? g.active;
+      addPhaseTotals(tot, g);
+      prompts += g.prompts;
+      if (g.tokens) {
+        tot.tokens = addTokens(
+          tot.tokens || {}, g.tokens
+        );
+      }
+      if (g.cost !== undefined) {
+        tot.cost = (tot.cost || 0) + g.cost;
+      }
+      return {
+        cells: [
+          key,
+          ...durCells(g, opts),
+          String(g.sessions),
+          String(g.prompts),
+          ...phaseCells(g, opts),
+          ...tokenCells(g, opts),
+        ],
+        sub: false,
+      };
+    });
+  const headers = [
+    label, ...durHeaders(opts),
+    'Sess', 'Prompts',
+    ...phaseHeaders(opts),
+    ...tokenHeaders(opts),
+  ];
+  return {
+    headers,
+    align: alignFor(headers, 1),
+    rows,
+    total: [
+      'Total',
+      ...durCells(tot, opts),
+      '', String(prompts),
+      ...phaseCells(tot, opts),
+      ...tokenCells(tot, opts),
+    ],
+  };
+}
+
+function invoiceTable(invoice, opts = {}) {
+  const money = (v) =>
+    fmtMoney(v, invoice.currency);
+  const raw = (seconds) =>
+    opts.billed
+      ? [roundHours(seconds).toFixed(2)]
+      : [];
+  const rows = [];
+  for (const pg of invoice.projects) {
+    rows.push({
+      cells: [
+        pg.project,
+        ...raw(pg.seconds),
+        pg.hours.toFixed(2),
+        '',
+        money(pg.amount),
+      ],
+      sub: false,
+    });
+    for (const line of pg.lines) {
+      rows.push({
+        cells: [
+          line.ticket,
+          ...raw(line.seconds),
+          line.hours.toFixed(2),
+          line.rate === null
+            ? '\u2014' : money(line.rate),
+          money(line.amount),
+        ],
+        sub: true,
+      });
+    }
+  }
+  const headers = [
+    'Project / Ticket',
+    ...(opts.billed ? ['Raw'] : []),
+    'Hours', 'Rate', 'Amount',
+  ];
+  return {
+    headers,
+    align: alignFor(headers, 1),
+    rows,
+    total: [
+      'Total',
+      ...raw(invoice.seconds),
+      invoice.hours.toFixed(2),
+      '',
+      money(invoice.amount),
+    ],
+  };
+}
+
+function foldedTable(folded) {
+  const rows = [];
+  let total = 0;
+  for (const [proj, p] of folded) {
+    total += p.active;
+    rows.push({
+      cells: [proj, fmtDur(p.active)],
+      sub: false,
+    });
+    for (
+      const [raw, secs] of
+      [...p.names].sort((a, b) => b[1] - a[1])
+    ) {
+      rows.push({
+        cells: [raw, fmtDur(secs)],
+        sub: true,
+      });
+    }
+  }
+  const headers =
+    ['Project / Raw name', 'Active'];
+  return {
+    headers,
+    align: alignFor(headers, 1),
+    rows,
+    total: ['Total', fmtDur(total)],
+  };
+}
+
+function mdEscape(str) {
+  return String(str)
+    .replace(/\\/g, '\\\\')
+    .replace(/\|/g, '\\|');
+}
+
+// Ticket names sit in the first text column
+// after any date column.
+function ticketCol(table) {
+  return table.headers[0] === 'Date' ? 1 : 0;
+}
+
+function renderMarkdown(table) {
+  const line = (cells) =>
+    `| ${cells.join(' | ')} |`;
+  const tcol = ticketCol(table);
+  const out = [
+    line(table.headers.map(mdEscape)),
+    line(table.align.map(
+      (a) => (a === 'right' ? '---:' : ':---')
+    )),
+  ];
+  for (const row of table.rows) {
+    out.push(line(row.cells.map((c, i) => {
+      const esc = mdEscape(c);
+      return row.sub && i === tcol
+        ? `↳ ${esc}`
+        : esc;
+    })));
+  }
+  out.push(line(table.total.map(
+    (c) => (c ? `**${mdEscape(c)}**` : '')
+  )));
+  return out.join('\n') + '\n';
+}
+
+function htmlEscape(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderHtml(table) {
+  const cell = (tag, c, i, cls) => {
+    const classes = [];
+    if (table.align[i] === 'right') {
+      classes.push('num');
+    }
+    if (cls) classes.push(cls);
+    const attr = classes.length
+      ? ` class="${classes.join(' ')}"`
+      : '';
+    return `<${tag}${attr}>` +
+      `${htmlEscape(c)}</${tag}>`;
+  };
+  const tcol = ticketCol(table);
+  const out = ['<table>', '<thead><tr>'];
+  table.headers.forEach((h, i) => {
+    out.push(cell('th', h, i));
+  });
+  out.push('</tr></thead>', '<tbody>');
+  for (const row of table.rows) {
+    out.push(
+      row.sub
+        ? '<tr class="ticket">'
+        : '<tr>'
+    );
+    row.cells.forEach((c, i) => {
+      out.push(cell(
+        'td', c, i,
+        row.sub && i === tcol
+          ? 'indent' : null
+      ));
+    });
+    out.push('</tr>');
+  }
+  out.push('</tbody>', '<tfoot><tr>');
+  table.total.forEach((c, i) => {
+    out.push(cell('th', c, i));
+  });
+  out.push('</tr></tfoot>', '</table>');
+  return out.join('\n') + '\n';
+}
+
+const HTML_STYLE = `body {
+  font-family: -apple-system, "Segoe UI",
+    Helvetica, Arial, sans-serif;
+  color: #24292f;
+  margin: 2em;
+}
+table {
+  border-collapse: collapse;
+  margin-bottom: 2em;
+}
+th, td {
+  border: 1px solid #d0d7de;
+  padding: 4px 10px;
+  text-align: left;
+}
+thead th, tfoot th { background: #f6f8fa; }
+.num {
+  text-align: right;
+  font-variant-numeric: tabular-nums;
+}
+tr.ticket td { color: #57606a; }
+td.indent { padding-left: 2em; }`;
+
+function htmlPage(title, summary, sections) {
+  const body = sections.map(
+    ([heading, html]) =>
+      `<h2>${htmlEscape(heading)}</h2>\n` +
+      html
+  );
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${htmlEscape(title)}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${htmlEscape(title)}</h1>`,
+    `<p>${htmlEscape(summary)}</p>`,
+    ...body,
+    '</body>',
+    '</html>',
+  ].join('\n') + '\n';
+}
+
+function mdDayProject(days, opts = {}) {
+  return renderMarkdown(
+    dayProjectTable(days, opts)
+  );
+}
+
+function mdTimesheet(
+  projects, opts = {}
+) {
+  return renderMarkdown(
+    timesheetTable(projects, opts)
+  );
+}
+
+// Decimal hours, like the text grid
+function gridTable(label, grid, raw) {
+  const durs = (row, rawRow) => [
+    ...grid.columns.map((k) =>
+      row.cells.has(k)
+        ? fmtHours(row.cells.get(k))
+        : ''
+    ),
+    fmtHours(row.total),
+    ...(raw ? [fmtHours(rawRow.total)] : []),
+  ];
+  const headers = [
+    label, ...grid.columns, 'Total',
+    ...(raw ? ['Raw'] : []),
+  ];
+  return {
+    headers,
+    align: alignFor(headers, 1),
+    rows: sortedGridRows(grid).map(
+      ([key, row]) => ({
+        cells: [
+          key,
+          ...durs(row, raw?.rows.get(key)),
+        ],
+        sub: false,
+      })
+    ),
+    total: [
+      'Total',
+      ...durs(grid.totals, raw?.totals),
+    ],
+  };
+}
+
+function mdGrid(label, grid, raw) {
+  return renderMarkdown(
+    gridTable(label, grid, raw)
+  );
+}
+
+function htmlGrid(label, grid, raw) {
+  return renderHtml(
+    gridTable(label, grid, raw)
+  );
+}
+
+function mdGroup(
+  label, groups, opts = {}
+) {
+  return renderMarkdown(
+    groupTable(label, groups, opts)
+  );
+}
+
+function mdInvoice(
+  invoice, opts = {}
+) {
+  return renderMarkdown(
+    invoiceTable(invoice, opts)
+  );
+}
+
+function htmlDayProject(days, opts = {}) {
+  return renderHtml(
+    dayProjectTable(days, opts)
+  );
+}
+
+function htmlTimesheet(
+  projects, opts = {}
+) {
+  return renderHtml(
+    timesheetTable(projects, opts)
+  );
+}
+
+function mdClientTotals(
+  clients, opts = {}
+) {
+  return renderMarkdown(
+    clientTotalsTable(clients, opts)
+  );
+}
+
+function htmlClientTotals(
+  clients, opts = {}
+) {
+  return renderHtml(
+    clientTotalsTable(clients, opts)
+  );
+}
+
+function htmlGroup(
+  label, groups, opts = {}
+) {
+  return renderHtml(
+    groupTable(label, groups, opts)
+  );
+}
+
+function mdFolded(folded) {
+  return renderMarkdown(foldedTable(folded));
+}
+
+function htmlFolded(folded) {
+  return renderHtml(foldedTable(folded));
+}
+
+function htmlInvoice(
+  invoice, opts = {}
+) {
+  return renderHtml(
+    invoiceTable(invoice, opts)
+  );
+}
+
+// ── Exports ─────────────────────────────
+
+export {
+  startOfWeek,
+  PERIODS,
+  resolvePeriod,
+  periodLabel,
+  periodKeys,
+  dateKey,
+  buildSlices,
+  mergeOverlaps,
+  filterSlices,
+  roundSeconds,
+  applyRounding,
+  aggregate,
+  sumSlices,
+  priceFor,
+  tokenCost,
+  applyPrices,
+  fmtTokens,
+  fmtDur,
+  fmtHours,
+  fmtDate,
+  trunc,
+  buildDayProjectTicket,
+  buildTimesheet,
+  buildPivot,
+  pivotJson,
+  buildGrid,
+  gridJson,
+  roundHours,
+  rateFor,
+  buildInvoice,
+  fmtMoney,
+  csvEscape,
+  toCsv,
+  csvDayProject,
+  csvTimesheet,
+  csvGroup,
+  csvGrid,
+  csvInvoice,
+  mdEscape,
+  mdDayProject,
+  mdTimesheet,
+  mdClientTotals,
+  mdGroup,
+  mdGrid,
+  mdInvoice,
+  htmlEscape,
+  htmlDayProject,
+  htmlTimesheet,
+  htmlClientTotals,
+  htmlGroup,
+  htmlGrid,
+  htmlInvoice,
+  htmlPage,
+  parseEntries,
+  logFiles,
+  applyAliases,
+  applyClients,
+  hasClients,
+  buildClientTimesheet,
+  csvClientTimesheet,
+  buildFolded,
+  foldedJson,
+  csvFolded,
+  mdFolded,
+  htmlFolded,
+};
+
+// ── CLI (only when run directly) ────────
+
+if (
+  process.argv[1] ===
+  fileURLToPath(import.meta.url)
+) {
+  const USAGE = `Usage: report.mjs [options]
+
+Period:
+  --today         Today
+  --yesterday     Yesterday
+  --week          This week (default)
+  --last-week     Last full week
+  --month         This month
+  --last-month    Last full month
+  --quarter       This quarter
+  --last-quarter  Last full quarter
+  --year          This year
+  --since SPAN    Last N days, weeks or
+                  months (10d, 2w, 3m)
+
+Grouping:
+  --by-project    Group by project (default)
+  --by-client     Group by client
+  --by-ticket     Group by ticket
+  --by-model      Group by model
+  --by-tool       Group by tool (Edit, Bash…)
+  --by-day        Group by day
+  --by-week       Group by week
+  --by-month      Group by month
+  --timesheet     Project → ticket breakdown
+                  (per client when clients
+                  are known)
+  --invoice       Timesheet priced with rates
+  --grid          Rows x period matrix with
+                  row and column totals
+  --rows DIM      Grid rows: project (default),
+                  client, ticket, model or
+                  tool
+  --cols DIM      Grid columns: day (default),
+                  week or month
+  --aliases       List raw project names
+                  folded by projectAliases
+
+Concurrency:
+  --wall-clock    De-duplicate overlapping
+                  sessions (overlapPolicy, or
+                  split evenly)
+  --summed        Count every session in full
+
+Filters:
+  --from DATE     Start date (YYYY-MM-DD)
+  --to DATE       End date (YYYY-MM-DD)
+  --project NAME  Filter by project
+  --client NAME   Filter by client
+  --ticket ID     Filter by ticket
+
+Output:
+  --format FMT    text, json, csv, markdown
+                  or html
+  --json          JSON output
+  --csv           CSV output (decimal hours)
+  --help          Show this help
+
+Examples:
+  report.mjs --week --by-ticket
+  report.mjs --last-month --invoice
+  report.mjs --since 10d --by-day
+  report.mjs --from 2026-02-01 --to 2026-02-14
+  report.mjs --timesheet --project my-app
+  report.mjs --quarter --timesheet --by-week
+  report.mjs --last-month --grid --csv
+  report.mjs --timesheet --format markdown`;
+
+  const KNOWN_FLAGS = new Set([
+    ...PERIODS.map((p) => `--${p}`),
+    '--since',
+    '--by-project', '--by-client',
+    '--by-ticket', '--by-model',
+    '--by-tool',
+    '--by-day', '--by-week', '--by-month',
+    '--timesheet', '--invoice',
+    '--grid', '--rows', '--cols',
+    '--aliases',
+    '--wall-clock', '--summed',
+    '--from', '--to',
+    '--project', '--client', '--ticket',
+    '--json', '--csv', '--format',
+    '--help',
+  ]);
+
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+  const config = loadConfig();
+  const breakMs =
+    (config.breakThreshold || 1800)
+    * 1000;
+  const rounding = config.rounding || null;
+  // --wall-clock uses the configured policy,
+  // or an even split when that is 'sum'.
+  const wallPolicy =
+    config.overlapPolicy &&
+    config.overlapPolicy !== 'sum'
+      ? config.overlapPolicy
+      : 'split';
 
   const args = process.argv.slice(2);
   const flags = new Set(
@@ -427,7 +2466,9 @@ Examples:
     if (
       [
         '--from', '--to',
-        '--project', '--ticket',
+        '--project', '--client', '--ticket',
+        '--format', '--since',
+        '--rows', '--cols',
       ].includes(args[i])
     ) {
       flagArgs[args[i]] = args[++i];
@@ -451,118 +2492,328 @@ Examples:
     }
   }
 
-  const format = flags.has('--json')
-    ? 'json'
-    : 'text';
-  const period = flags.has('--month')
-    ? 'month'
-    : 'week';
-  const byTicket =
-    flags.has('--by-ticket');
-  const byProject =
-    flags.has('--by-project');
-  const byModel =
-    flags.has('--by-model');
-  const byDay = flags.has('--by-day');
+  const FORMATS = new Set([
+    'text', 'json', 'csv',
+    'markdown', 'html',
+  ]);
+  if (
+    flags.has('--format') &&
+    (!flagArgs['--format'] ||
+      flagArgs['--format'].startsWith('--'))
+  ) {
+    console.error(
+      'Missing value for --format\n' +
+      'Expected one of: ' +
+      [...FORMATS].join(', ')
+    );
+    process.exit(2);
+  }
+  const formatFlags = [
+    ...(flagArgs['--format']
+      ? [`--format ${flagArgs['--format']}`]
+      : []),
+    ...['--json', '--csv'].filter(
+      (f) => flags.has(f)
+    ),
+  ];
+  if (formatFlags.length > 1) {
+    console.error(
+      'Choose one format: ' +
+      formatFlags.join(', ')
+    );
+    process.exit(2);
+  }
+  let format = flagArgs['--format'] || 'text';
+  if (flags.has('--json')) format = 'json';
+  else if (flags.has('--csv')) {
+    format = 'csv';
+  }
+  if (!FORMATS.has(format)) {
+    console.error(
+      `Invalid format: ${format}\n` +
+      'Expected one of: ' +
+      [...FORMATS].join(', ')
+    );
+    process.exit(2);
+  }
+  if (
+    flags.has('--wall-clock') &&
+    flags.has('--summed')
+  ) {
+    console.error(
+      '--wall-clock and --summed ' +
+      'cannot be combined.'
+    );
+    process.exit(2);
+  }
+  let overlapPolicy =
+    config.overlapPolicy || 'sum';
+  if (flags.has('--wall-clock')) {
+    overlapPolicy = wallPolicy;
+  } else if (flags.has('--summed')) {
+    overlapPolicy = 'sum';
+  }
+  const wallClock = overlapPolicy !== 'sum';
+
+  const periodFlags = [
+    ...PERIODS, 'since',
+  ].filter((p) => flags.has(`--${p}`));
+  if (periodFlags.length > 1) {
+    console.error(
+      'Choose one period: ' +
+      periodFlags
+        .map((p) => `--${p}`)
+        .join(', ')
+    );
+    process.exit(2);
+  }
+
+  // --by-* views: heading, JSON key and
+  // the slice key each one groups on.
+  const GROUPINGS = [
+    {
+      flag: '--by-project',
+      label: 'Project',
+      json: 'byProject',
+      key: (s) => s.project || '(unknown)',
+    },
+    {
+      flag: '--by-client',
+      label: 'Client',
+      json: 'byClient',
+      key: (s) => s.client || '(no client)',
+    },
+    {
+      flag: '--by-ticket',
+      label: 'Ticket',
+      json: 'byTicket',
+      key: (s) => s.ticket || '(no ticket)',
+    },
+    {
+      flag: '--by-model',
+      label: 'Model',
+      json: 'byModel',
+      key: (s) => s.model || '(unknown)',
+    },
+    {
+      flag: '--by-tool',
+      label: 'Tool',
+      json: 'byTool',
+      key: (s) => s.tool || '(no tool)',
+    },
+    {
+      flag: '--by-day',
+      label: 'Day',
+      json: 'byDay',
+      key: (s) => s.date,
+      head: (k) => String(Number(k.slice(8))),
+    },
+    // Weeks and months are keyed by their
+    // first day / YYYY-MM, read in date
+    // order, and can pivot the timesheet.
+    {
+      flag: '--by-week',
+      label: 'Week',
+      json: 'byWeek',
+      key: (s) =>
+        startOfWeek(s.date, config.weekStart),
+      byKey: true,
+      pivot: 'timesheetByWeek',
+      head: (k) =>
+        fmtDate(k).slice(4).trim(),
+    },
+    {
+      flag: '--by-month',
+      label: 'Month',
+      json: 'byMonth',
+      key: (s) => s.date.slice(0, 7),
+      byKey: true,
+      pivot: 'timesheetByMonth',
+      head: (k) =>
+        fmtDate(`${k}-01`).slice(7) +
+        ` ${k.slice(2, 4)}`,
+    },
+  ];
+  const groupings = GROUPINGS.filter(
+    (g) => flags.has(g.flag)
+  );
   const timesheet =
     flags.has('--timesheet');
+  const invoice = flags.has('--invoice');
   const fpArg =
     flagArgs['--project'] || null;
   const ftArg =
     flagArgs['--ticket'] || null;
+  const fcArg =
+    flagArgs['--client'] || null;
+
+  const grid = flags.has('--grid');
+  const showAliases =
+    flags.has('--aliases');
 
   const showDefault =
-    !byTicket && !byProject
-    && !byModel && !byDay
-    && !timesheet;
+    groupings.length === 0 &&
+    !timesheet && !invoice && !grid;
+
+  // --timesheet with --by-week/--by-month
+  // becomes a single pivot (text and JSON)
+  // instead of two separate tables.
+  const pivot = timesheet
+    ? groupings.find((g) => g.pivot) || null
+    : null;
+
+  // --grid dimensions reuse the --by-*
+  // slice keys.
+  const GRID_DIMS = {
+    rows: [
+      'project', 'client', 'ticket',
+      'model', 'tool',
+    ],
+    cols: ['day', 'week', 'month'],
+  };
+  const gridDim = {};
+  for (
+    const [axis, names] of
+    Object.entries(GRID_DIMS)
+  ) {
+    const name =
+      flagArgs[`--${axis}`] || names[0];
+    if (!names.includes(name)) {
+      console.error(
+        `Invalid value for --${axis}: ` +
+        `${name}\n` +
+        `Expected one of: ${names.join(', ')}`
+      );
+      process.exit(2);
+    }
+    gridDim[axis] = GROUPINGS.find(
+      (g) => g.label.toLowerCase() === name
+    );
+  }
 
-  const now = new Date();
-  let startDate;
-  let endDate = now;
+  if (invoice && !config.rates) {
+    console.error(
+      'No rates configured in ' +
+      'config.json; amounts left blank.'
+    );
+  }
 
-  if (flagArgs['--from']) {
-    startDate = new Date(
-      flagArgs['--from'] + 'T00:00:00'
+  const today =
+    dateKey(new Date(), config.timezone);
+  const period = resolvePeriod(
+    periodFlags[0] || 'week',
+    today,
+    {
+      since: flagArgs['--since'],
+      weekStart: config.weekStart,
+    }
+  );
+  if (!period) {
+    console.error(
+      'Invalid value for --since: ' +
+      `${flagArgs['--since'] ?? ''}\n` +
+      'Expected a number and unit, ' +
+      'e.g. 10d, 2w or 3m.'
     );
+    process.exit(2);
+  }
+  // --from/--to override either end; the
+  // label is dropped once the range is
+  // no longer the named period.
+  if (flagArgs['--from']) {
+    period.start = flagArgs['--from'];
+    period.label = null;
   }
   if (flagArgs['--to']) {
-    endDate = new Date(
-      flagArgs['--to'] + 'T23:59:59'
-    );
+    period.end = flagArgs['--to'];
+    period.label = null;
   }
-  if (!flagArgs['--from']) {
-    if (period === 'month') {
-      startDate = new Date(
-        now.getFullYear(),
-        now.getMonth(),
-        1
-      );
-    } else {
-      startDate = startOfWeek(now);
+  const startKey = period.start;
+  const endKey = period.end;
+
+  // With rounding configured every view
+  // shows the billed figure next to the raw
+  // active time so the two can be audited.
+  const showBilled = Boolean(rounding);
+
+  function activeCols(width) {
+    const cols = [
+      { header: 'Active',
+        width, align: 'right' },
+    ];
+    if (showBilled) {
+      cols.push({ header: 'Billed',
+        width, align: 'right' });
     }
+    return cols;
   }
 
-  function getLogFiles() {
-    if (!existsSync(TIMELOG_DIR)) return [];
-    const start = dateKey(startDate);
-    const end = dateKey(endDate);
-    return readdirSync(TIMELOG_DIR)
-      .filter(
-        (f) => f.endsWith('.jsonl')
-      )
-      .filter((f) => {
-        const d = f.replace('.jsonl', '');
-        return d >= start && d <= end;
-      })
-      .map((f) => join(TIMELOG_DIR, f));
+  function activeCells(g) {
+    return showBilled
+      ? [fmtDur(g.active), fmtDur(g.billed)]
+      : [fmtDur(g.active)];
+  }
+
+  function phaseCols(width) {
+    return phaseHeaders(opts).map((h) => ({
+      header: h, width, align: 'right',
+    }));
+  }
+
+  function fmtRow(cols, cells) {
+    return cols.map((c, i) => {
+      const val = String(cells[i] ?? '');
+      const t = trunc(val, c.width);
+      return c.align === 'right'
+        ? t.padStart(c.width)
+        : t.padEnd(c.width);
+    }).join('  ');
   }
 
-  function printTable(cols, rows, label) {
-    if (label) console.log(label);
-    const hdr = cols.map((c) =>
-      c.align === 'right'
-        ? c.header.padStart(c.width)
-        : c.header.padEnd(c.width)
+  function printTable(cols, rows, total) {
+    const sep = cols.map((c) =>
+      '\u2500'.repeat(c.width)
     ).join('  ');
-    console.log(hdr);
-    console.log(
-      cols.map((c) =>
-        '\u2500'.repeat(c.width)
-      ).join('  ')
-    );
+    console.log(fmtRow(
+      cols, cols.map((c) => c.header)
+    ));
+    console.log(sep);
     for (const row of rows) {
-      const line = cols.map((c, i) => {
-        const val = String(row[i] ?? '');
-        const t = trunc(val, c.width);
-        return c.align === 'right'
-          ? t.padStart(c.width)
-          : t.padEnd(c.width);
-      }).join('  ');
-      console.log(line);
+      console.log(fmtRow(cols, row));
+    }
+    if (total) {
+      console.log(sep);
+      console.log(fmtRow(cols, total));
     }
     console.log();
   }
 
-  function printGroupTable(label, groups) {
-    const sorted = [...groups].sort(
-      (a, b) => b[1].active - a[1].active
-    );
+  function printGroupTable(g, groups) {
+    const label = g.label;
+    const sorted = sortGroups(groups, g);
     const cols = [
       { header: label,
         width: 22, align: 'left' },
-      { header: 'Active',
-        width: 7, align: 'right' },
+      ...activeCols(7),
       { header: 'Sess',
         width: 4, align: 'right' },
       { header: 'Prompts',
         width: 7, align: 'right' },
+      ...phaseCols(7),
+      ...tokenHeaders(opts).map((h) => ({
+        header: h,
+        width: h === 'Cost' ? 9 : 6,
+        align: 'right',
+      })),
     ];
     const tableRows = sorted.map(
       ([key, s]) => [
         key,
-        fmtDur(s.active),
+        ...activeCells(s),
         s.sessions,
         s.prompts,
+        ...phaseCells(s, opts),
+        ...tokenCells(s, opts),
       ]
     );
     printTable(cols, tableRows);
@@ -573,29 +2824,17 @@ Examples:
       width: 10, align: 'left' },
     { header: 'Project / Ticket',
       width: 24, align: 'left' },
-    { header: 'Active',
-      width: 8, align: 'right' },
+    ...activeCols(8),
     { header: 'Prompts',
       width: 7, align: 'right' },
   ];
-  const DP_SEP =
-    DP_COLS.map((c) =>
-      '\u2500'.repeat(c.width)
-    ).join('  ');
 
   function printDayProject(slices) {
     const days =
       buildDayProjectTicket(slices);
     const sortedDays = [...days.keys()]
       .sort();
-
-    const hdr = DP_COLS.map((c) =>
-      c.align === 'right'
-        ? c.header.padStart(c.width)
-        : c.header.padEnd(c.width)
-    ).join('  ');
-    console.log(hdr);
-    console.log(DP_SEP);
+    const rows = [];
 
     for (const dk of sortedDays) {
       const projects =
@@ -607,25 +2846,14 @@ Examples:
       let showDate = true;
 
       for (const pg of projects) {
-        const date = showDate
-          ? fmtDate(dk) : '';
+        rows.push([
+          showDate ? fmtDate(dk) : '',
+          pg.project,
+          ...activeCells(pg),
+          pg.prompts,
+        ]);
         showDate = false;
 
-        console.log(
-          date.padEnd(10) + '  ' +
-          trunc(pg.project, 24)
-            .padEnd(24) +
-          '  ' +
-          fmtDur(pg.active)
-            .padStart(8) +
-          '  ' +
-          String(pg.prompts)
-            .padStart(7)
-        );
-
-        if (pg.tickets.size === 0) {
-          continue;
-        }
         const tickets = [...pg.tickets]
           .sort(
             (a, b) =>
@@ -634,67 +2862,78 @@ Examples:
         for (
           const [tkt, tg] of tickets
         ) {
-          console.log(
-            ''.padEnd(10) + '  ' +
-            ('  ' + trunc(tkt, 22))
-              .padEnd(24) +
-            '  ' +
-            fmtDur(tg.active)
-              .padStart(8) +
-            '  ' +
-            String(tg.prompts)
-              .padStart(7)
-          );
+          rows.push([
+            '',
+            '  ' + trunc(tkt, 22),
+            ...activeCells(tg),
+            tg.prompts,
+          ]);
         }
       }
     }
-    console.log();
+    printTable(DP_COLS, rows);
   }
 
   const TS_COLS = [
     { header: 'Project / Ticket',
       width: 28, align: 'left' },
-    { header: 'Active',
-      width: 8, align: 'right' },
+    ...activeCols(8),
     { header: 'Sess',
       width: 4, align: 'right' },
     { header: 'Prompts',
       width: 7, align: 'right' },
   ];
-  const TS_SEP =
-    '\u2500'.repeat(28) + '  ' +
-    '\u2500'.repeat(8) + '  ' +
-    '\u2500'.repeat(4) + '  ' +
-    '\u2500'.repeat(7);
 
-  function printTimesheet(slices) {
+  function printClientTimesheet(slices) {
+    const clients =
+      buildClientTimesheet(slices);
+    for (const [client, cg] of clients) {
+      console.log(
+        `${client} (${fmtDur(cg.active)})`
+      );
+      printTimesheet(
+        cg.slices, `${client} total`
+      );
+    }
+    const table =
+      clientTotalsTable(clients, opts);
+    console.log('All clients');
+    printTable(
+      [
+        { header: 'Client',
+          width: 28, align: 'left' },
+        ...TS_COLS.slice(1),
+        ...phaseCols(8),
+      ],
+      table.rows.map(({ cells }) => [
+        trunc(cells[0], 28),
+        ...cells.slice(1),
+      ]),
+      table.total
+    );
+  }
+
+  function printTimesheet(
+    slices, totalLabel = 'Total'
+  ) {
+    const cols = [
+      ...TS_COLS, ...phaseCols(8),
+    ];
     const projects =
       buildTimesheet(slices);
     const sorted = [...projects].sort(
       (a, b) => b[1].active - a[1].active
     );
-
-    const hdr = TS_COLS.map((c) =>
-      c.align === 'right'
-        ? c.header.padStart(c.width)
-        : c.header.padEnd(c.width)
-    ).join('  ');
-    console.log(hdr);
-    console.log(TS_SEP);
+    const rows = [];
 
     for (const [proj, pg] of sorted) {
-      console.log(
-        trunc(proj, 28).padEnd(28) +
-        '  ' +
-        fmtDur(pg.active)
-          .padStart(8) +
-        '  ' +
-        String(pg.sessions.size)
-          .padStart(4) +
-        '  ' +
-        String(pg.prompts)
-          .padStart(7)
-      );
+      rows.push([
+        proj,
+        ...activeCells(pg),
+        pg.sessions.size,
+        pg.prompts,
+        ...phaseCells(pg, opts),
+      ]);
 
       const tickets = [...pg.tickets]
         .sort(
@@ -704,52 +2943,217 @@ Examples:
       for (
         const [tkt, tg] of tickets
       ) {
-        console.log(
-          ('  ' + trunc(tkt, 26))
-            .padEnd(28) +
-          '  ' +
-          fmtDur(tg.active)
-            .padStart(8) +
-          '  ' +
-          String(tg.sessions.size)
-            .padStart(4) +
-          '  ' +
-          String(tg.prompts)
-            .padStart(7)
-        );
+        rows.push([
+          '  ' + trunc(tkt, 26),
+          ...activeCells(tg),
+          tg.sessions.size,
+          tg.prompts,
+          ...phaseCells(tg, opts),
+        ]);
       }
     }
 
-    console.log(TS_SEP);
-    const totSess = new Set(
-      slices.map((s) => s.session)
-    ).size;
-    const totPr = slices.filter(
-      (s) => s.isPrompt
-    ).length;
-    const totAct = slices.reduce(
-      (sum, s) => sum + s.seconds, 0
+    const tot = sumSlices(slices);
+    printTable(cols, rows, [
+      trunc(totalLabel, 28),
+      ...activeCells(tot),
+      tot.sessions,
+      tot.prompts,
+      ...phaseCells(tot, opts),
+    ]);
+  }
+
+  const INV_COLS = [
+    { header: 'Project / Ticket',
+      width: 28, align: 'left' },
+    ...(showBilled
+      ? [{ header: 'Raw',
+        width: 8, align: 'right' }]
+      : []),
+    { header: 'Hours',
+      width: 8, align: 'right' },
+    { header: 'Rate',
+      width: 10, align: 'right' },
+    { header: 'Amount',
+      width: 12, align: 'right' },
+  ];
+
+  function printInvoice(slices) {
+    const inv = buildInvoice(
+      buildTimesheet(slices),
+      config.rates
     );
-    console.log(
-      'Total'.padEnd(28) +
-      '  ' +
-      fmtDur(totAct).padStart(8) +
-      '  ' +
-      String(totSess).padStart(4) +
-      '  ' +
-      String(totPr).padStart(7)
+    const money = (v) =>
+      fmtMoney(v, inv.currency);
+    const raw = (seconds) =>
+      showBilled
+        ? [roundHours(seconds).toFixed(2)]
+        : [];
+    const rows = [];
+    for (const pg of inv.projects) {
+      rows.push([
+        pg.project,
+        ...raw(pg.seconds),
+        pg.hours.toFixed(2),
+        '',
+        money(pg.amount),
+      ]);
+      for (const line of pg.lines) {
+        rows.push([
+          '  ' + line.ticket,
+          ...raw(line.seconds),
+          line.hours.toFixed(2),
+          line.rate === null
+            ? '\u2014' : money(line.rate),
+          money(line.amount),
+        ]);
+      }
+    }
+    printTable(INV_COLS, rows, [
+      'Total',
+      ...raw(inv.seconds),
+      inv.hours.toFixed(2),
+      '',
+      money(inv.amount),
+    ]);
+  }
+
+  // With a `raw` pivot the cells are billed
+  // time and a Raw column audits each row.
+  function printPivot(pv, raw, g) {
+    const cols = [
+      { header: 'Project / Ticket',
+        width: 24, align: 'left' },
+      ...pv.columns.map((k) => ({
+        header: g.head(k),
+        width: 8, align: 'right',
+      })),
+      { header: 'Total',
+        width: 8, align: 'right' },
+    ];
+    if (raw) {
+      cols.push({ header: 'Raw',
+        width: 8, align: 'right' });
+    }
+    const cells = (row, rawRow) => [
+      ...pv.columns.map((k) =>
+        row.cells.has(k)
+          ? fmtDur(row.cells.get(k))
+          : ''
+      ),
+      fmtDur(row.total),
+      ...(raw ? [fmtDur(rawRow.total)] : []),
+    ];
+    const byTotal = (a, b) =>
+      b[1].total - a[1].total;
+    const rows = [];
+    for (
+      const [proj, pg] of
+      [...pv.projects].sort(byTotal)
+    ) {
+      const rawPg = raw?.projects.get(proj);
+      rows.push([proj, ...cells(pg, rawPg)]);
+      for (
+        const [tkt, tg] of
+        [...pg.tickets].sort(byTotal)
+      ) {
+        rows.push([
+          '  ' + trunc(tkt, 22),
+          ...cells(tg, rawPg?.tickets.get(tkt)),
+        ]);
+      }
+    }
+    printTable(
+      cols, rows,
+      ['Total', ...cells(pv.totals, raw?.totals)]
+    );
+  }
+
+  function printFolded(folded) {
+    if (folded.size === 0) {
+      console.log(
+        'No project names were folded ' +
+        'by projectAliases.'
+      );
+      return;
+    }
+    const cols = [
+      { header: 'Project / Raw name',
+        width: 28, align: 'left' },
+      { header: 'Active',
+        width: 8, align: 'right' },
+    ];
+    const rows = [];
+    for (const [proj, p] of folded) {
+      rows.push([proj, fmtDur(p.active)]);
+      for (
+        const [raw, secs] of
+        [...p.names].sort(
+          (a, b) => b[1] - a[1]
+        )
+      ) {
+        rows.push([
+          '  ' + trunc(raw, 26),
+          fmtDur(secs),
+        ]);
+      }
+    }
+    printTable(cols, rows);
+  }
+
+  const GRID_WIDTH = {
+    day: 5, week: 6, month: 6,
+  };
+
+  function printGrid(gr, raw) {
+    const colDim = gridDim.cols;
+    const width = GRID_WIDTH[
+      colDim.label.toLowerCase()
+    ];
+    const cols = [
+      { header: gridDim.rows.label,
+        width: 22, align: 'left' },
+      ...gr.columns.map((k) => ({
+        header: colDim.head(k),
+        width, align: 'right',
+      })),
+      { header: 'Total',
+        width: 7, align: 'right' },
+    ];
+    if (raw) {
+      cols.push({ header: 'Raw',
+        width: 7, align: 'right' });
+    }
+    const cells = (row, rawRow) => [
+      ...gr.columns.map((k) =>
+        row.cells.has(k)
+          ? fmtHours(row.cells.get(k))
+          : ''
+      ),
+      fmtHours(row.total),
+      ...(raw ? [fmtHours(rawRow.total)] : []),
+    ];
+    printTable(
+      cols,
+      sortedGridRows(gr).map(
+        ([key, row]) => [
+          key,
+          ...cells(row, raw?.rows.get(key)),
+        ]
+      ),
+      ['Total', ...cells(gr.totals, raw?.totals)]
     );
-    console.log();
   }
 
   // ── Run ───────────────────────────────
 
-  const files = getLogFiles();
+  const files = logFiles(
+    TIMELOG_DIR, startKey, endKey
+  );
   if (files.length === 0) {
     console.error(
       'No timelog data for ' +
-      `${dateKey(startDate)} to ` +
-      `${dateKey(endDate)}.\n` +
+      `${startKey} to ${endKey}.\n` +
       'Run backfill first: node ' +
       'scripts/backfill.mjs'
     );
@@ -758,50 +3162,175 @@ Examples:
 
   const entries =
     await parseEntries(files);
-  const slices = filterSlices(
-    buildSlices(entries, breakMs),
-    { project: fpArg, ticket: ftArg }
+  const allSlices = buildSlices(
+    applyClients(
+      applyAliases(entries, config),
+      config
+    ),
+    breakMs,
+    { timezone: config.timezone }
+  );
+  const range = {
+    project: fpArg,
+    client: fcArg,
+    ticket: ftArg,
+    from: startKey,
+    to: endKey,
+  };
+  // Overlaps are resolved before filtering
+  // so a project's share accounts for
+  // sessions outside the filter too.
+  const summedSlices =
+    filterSlices(allSlices, range);
+  const wallSlices = filterSlices(
+    mergeOverlaps(allSlices, wallPolicy),
+    range
+  );
+  const pricedSlices = applyPrices(
+    wallClock ? wallSlices : summedSlices,
+    config.prices
   );
+  const slices = applyRounding(
+    pricedSlices, rounding
+  );
+  // 'line' rounding bills each rendered
+  // row, so views whose rows are not
+  // project/ticket lines round by their
+  // own row key.
+  const roundedBy = (key) =>
+    rounding?.scope === 'line'
+      ? applyRounding(
+        pricedSlices, rounding, key
+      )
+      : slices;
+  const dayLines =
+    roundedBy(ROUNDING_SCOPES.day);
+  const clientLines = roundedBy(
+    (s) =>
+      `${s.client || '(no client)'}\t` +
+      lineOf(s)
+  );
+  const summedActive =
+    sumSlices(summedSlices).active;
+  const wallActive =
+    sumSlices(wallSlices).active;
+  const opts = {
+    billed: showBilled,
+    phases: slices.some((s) => s.phase),
+    tokens: hasTokens(slices),
+    cost: config.prices
+      ? config.prices.currency || 'USD'
+      : undefined,
+  };
+  // Likewise the --timesheet pivot, where
+  // each ticket's period cell is a line.
+  const pivotData = pivot
+    ? buildPivot(slices, pivot.key)
+    : null;
+  const pivotBilled = pivot && rounding
+    ? buildPivot(
+      roundedBy(
+        (s) =>
+          `${lineOf(s)}\t${pivot.key(s)}`
+      ),
+      pivot.key,
+      billedOf
+    )
+    : null;
+  // With rounding the grid cells show
+  // billed time, each cell a line, and the
+  // raw grid feeds the Raw column.
+  const gridOf = (rows, valueFn) =>
+    buildGrid(
+      rows,
+      gridDim.rows.key,
+      gridDim.cols.key,
+      periodKeys(
+        startKey, endKey,
+        gridDim.cols.label.toLowerCase(),
+        config.weekStart
+      ),
+      valueFn
+    );
+  const gridData = grid
+    ? gridOf(slices)
+    : null;
+  const gridBilled = grid && rounding
+    ? gridOf(
+      roundedBy(
+        (s) =>
+          `${gridDim.rows.key(s)}\t` +
+          gridDim.cols.key(s)
+      ),
+      billedOf
+    )
+    : null;
+  const gridShown = gridBilled || gridData;
+  const gridRaw = gridBilled
+    ? gridData
+    : null;
 
   if (format === 'json') {
-    const data = {};
-    if (byProject || showDefault) {
-      data.byProject =
-        Object.fromEntries(
-          aggregate(
-            slices,
-            (s) =>
-              s.project || '(unknown)'
-          )
-        );
+    // The default view reports by project
+    const jsonGroups = showDefault
+      ? [GROUPINGS[0]]
+      : groupings;
+    const data = { period };
+    if (rounding) data.rounding = rounding;
+    if (wallClock) {
+      data.overlap = {
+        policy: overlapPolicy,
+        summed: summedActive,
+        wallClock: wallActive,
+      };
     }
-    if (byTicket) {
-      data.byTicket =
-        Object.fromEntries(
-          aggregate(
-            slices,
-            (s) =>
-              s.ticket || '(no ticket)'
-          )
-        );
+    if (invoice) {
+      data.invoice = buildInvoice(
+        buildTimesheet(slices),
+        config.rates
+      );
     }
-    if (byModel) {
-      data.byModel =
-        Object.fromEntries(
-          aggregate(
-            slices,
-            (s) =>
-              s.model || '(unknown)'
-          )
-        );
+    if (grid) {
+      data.grid = {
+        rowDim: gridDim.rows.label
+          .toLowerCase(),
+        colDim: gridDim.cols.label
+          .toLowerCase(),
+        ...gridJson(gridData),
+      };
+      if (gridBilled) {
+        data.grid.billed =
+          gridJson(gridBilled);
+      }
     }
-    if (byDay) {
-      data.byDay =
-        Object.fromEntries(
-          aggregate(
-            slices, (s) => s.date
-          )
-        );
+    if (pivot) {
+      data[pivot.pivot] =
+        pivotJson(pivotData);
+      if (pivotBilled) {
+        data[pivot.pivot].billed =
+          pivotJson(pivotBilled);
+      }
+    }
+    if (opts.tokens) {
+      const tot = sumSlices(slices);
+      data.tokens = { ...tot.tokens };
+      if (opts.cost) {
+        data.tokens.cost = tot.cost ?? null;
+        data.tokens.currency = opts.cost;
+      }
+    }
+    for (
+      const g of jsonGroups.filter(
+        (j) => j !== pivot
+      )
+    ) {
+      data[g.json] = Object.fromEntries(
+        aggregate(roundedBy(g.key), g.key)
+      );
+    }
+    if (showAliases) {
+      data.aliases =
+        foldedJson(buildFolded(slices));
     }
     console.log(
       JSON.stringify(data, null, 2)
@@ -809,71 +3338,240 @@ Examples:
     process.exit(0);
   }
 
-  const totalPrompts = slices.filter(
-    (s) => s.isPrompt
-  ).length;
-  const totalActive = slices.reduce(
-    (sum, s) => sum + s.seconds, 0
-  );
-  const totalSessions = new Set(
-    slices.map((s) => s.session)
-  ).size;
+  if (format === 'csv') {
+    const sections = [];
+    if (timesheet) {
+      sections.push(
+        hasClients(slices)
+          ? csvClientTimesheet(
+            buildClientTimesheet(clientLines),
+            opts
+          )
+          : csvTimesheet(
+            buildTimesheet(slices), opts
+          )
+      );
+    }
+    if (invoice) {
+      sections.push(
+        csvInvoice(buildInvoice(
+          buildTimesheet(slices),
+          config.rates
+        ), opts)
+      );
+    }
+    if (grid) {
+      sections.push(csvGrid(
+        gridDim.rows.label, gridShown, gridRaw
+      ));
+    }
+    if (showDefault) {
+      sections.push(
+        csvDayProject(
+          buildDayProjectTicket(dayLines),
+          opts
+        )
+      );
+    }
+    for (const g of groupings) {
+      sections.push(csvGroup(
+        g.label,
+        aggregate(roundedBy(g.key), g.key),
+        { ...opts, byKey: g.byKey }
+      ));
+    }
+    if (showAliases) {
+      sections.push(
+        csvFolded(buildFolded(slices))
+      );
+    }
+    // Blank line between sections when
+    // several views are requested
+    process.stdout.write(
+      sections.join('\n')
+    );
+    process.exit(0);
+  }
 
-  const periodLabel =
-    flagArgs['--from']
-      ? `${dateKey(startDate)}` +
-        ` to ${dateKey(endDate)}`
-      : `${period} starting ` +
-        dateKey(startDate);
+  const totals = sumSlices(slices);
 
-  console.log(
-    `Timelog Report (${periodLabel})`
-  );
-  console.log(
+  const title =
+    `Timelog Report (${periodLabel(period)})`;
+  const summary =
     'Total: ' +
-    `${totalSessions} sessions, ` +
-    `${totalPrompts} prompts, ` +
-    `${fmtDur(totalActive)} active`
-  );
-  console.log();
+    `${totals.sessions} sessions, ` +
+    `${totals.prompts} prompts, ` +
+    `${fmtDur(totals.active)} active` +
+    (Math.round(summedActive) !==
+      Math.round(wallActive)
+      ? wallClock
+        ? ` (${fmtDur(summedActive)} summed)`
+        : ` (${fmtDur(wallActive)} ` +
+          'wall clock)'
+      : '') +
+    (showBilled
+      ? `, ${fmtDur(totals.billed)} billed`
+      : '') +
+    (opts.phases
+      ? ` (${fmtDur(totals.agent || 0)} ` +
+        `agent, ${fmtDur(totals.review || 0)}` +
+        ' review)'
+      : '') +
+    (opts.tokens
+      ? `, ${fmtTokens(
+        totalTokens(totals.tokens)
+      )} tokens`
+      : '') +
+    (opts.cost && opts.tokens
+      ? ', ~' +
+        fmtMoney(
+          totals.cost ?? 0, opts.cost
+        ) +
+        ' est.' +
+        (totals.unpriced
+          ? ' (some models unpriced)'
+          : '')
+      : '');
+
+  if (
+    format === 'markdown' ||
+    format === 'html'
+  ) {
+    const md = format === 'markdown';
+    const sections = [];
+    if (timesheet) {
+      // One table per client, whose total
+      // row is that client's subtotal
+      const clients = hasClients(slices)
+        ? buildClientTimesheet(clientLines)
+        : null;
+      const parts = clients
+        ? [...clients]
+          .map(([client, cg]) => [
+            `Timesheet: ${client}`,
+            cg.projects,
+          ])
+        : [['Timesheet', buildTimesheet(slices)]];
+      for (const [heading, projects] of parts) {
+        sections.push([
+          heading,
+          md
+            ? mdTimesheet(projects, opts)
+            : htmlTimesheet(projects, opts),
+        ]);
+      }
+      if (clients) {
+        sections.push([
+          'Timesheet: all clients',
+          md
+            ? mdClientTotals(clients, opts)
+            : htmlClientTotals(clients, opts),
+        ]);
+      }
+    }
+    if (invoice) {
+      const inv = buildInvoice(
+        buildTimesheet(slices),
+        config.rates
+      );
+      sections.push([
+        'Invoice',
+        md
+          ? mdInvoice(inv, opts)
+          : htmlInvoice(inv, opts),
+      ]);
+    }
+    if (grid) {
+      const label = gridDim.rows.label;
+      sections.push([
+        `${label} x ${gridDim.cols.label}`,
+        md
+          ? mdGrid(label, gridShown, gridRaw)
+          : htmlGrid(
+            label, gridShown, gridRaw
+          ),
+      ]);
+    }
+    if (showDefault) {
+      const days =
+        buildDayProjectTicket(dayLines);
+      sections.push([
+        'Day x Project x Ticket',
+        md
+          ? mdDayProject(days, opts)
+          : htmlDayProject(days, opts),
+      ]);
+    }
+    for (const g of groupings) {
+      const groups =
+        aggregate(roundedBy(g.key), g.key);
+      const gOpts =
+        { ...opts, byKey: g.byKey };
+      sections.push([
+        `By ${g.label.toLowerCase()}`,
+        md
+          ? mdGroup(g.label, groups, gOpts)
+          : htmlGroup(
+            g.label, groups, gOpts
+          ),
+      ]);
+    }
+    if (showAliases) {
+      const folded = buildFolded(slices);
+      sections.push([
+        'Folded project names',
+        md
+          ? mdFolded(folded)
+          : htmlFolded(folded),
+      ]);
+    }
+    if (md) {
+      process.stdout.write(
+        [
+          `# ${title}\n\n${summary}\n`,
+          ...sections.map(
+            ([h, body]) =>
+              `## ${h}\n\n${body}`
+          ),
+        ].join('\n')
+      );
+    } else {
+      process.stdout.write(
+        htmlPage(title, summary, sections)
+      );
+    }
+    process.exit(0);
+  }
 
-  if (timesheet) printTimesheet(slices);
-  if (showDefault) printDayProject(slices);
+  console.log(title);
+  console.log(summary);
+  console.log();
 
-  if (byProject) {
-    printGroupTable(
-      'Project',
-      aggregate(
-        slices,
-        (s) => s.project || '(unknown)'
-      )
+  if (pivot) {
+    printPivot(
+      pivotBilled || pivotData,
+      pivotBilled ? pivotData : null,
+      pivot
     );
   }
-  if (byTicket) {
-    printGroupTable(
-      'Ticket',
-      aggregate(
-        slices,
-        (s) =>
-          s.ticket || '(no ticket)'
-      )
-    );
+  else if (timesheet) {
+    if (hasClients(slices)) {
+      printClientTimesheet(clientLines);
+    } else {
+      printTimesheet(slices);
+    }
   }
-  if (byModel) {
+  if (invoice) printInvoice(slices);
+  if (grid) printGrid(gridShown, gridRaw);
+  if (showDefault) printDayProject(dayLines);
+
+  for (const g of groupings) {
+    if (g === pivot) continue;
     printGroupTable(
-      'Model',
-      aggregate(
-        slices,
-        (s) => s.model || '(unknown)'
-      )
+      g, aggregate(roundedBy(g.key), g.key)
     );
   }
-  if (byDay) {
-    printGroupTable(
-      'Day',
-      aggregate(
-        slices, (s) => s.date
-      )
-    );
+  if (showAliases) {
+    printFolded(buildFolded(slices));
   }
 }
@@ -118,6 +118,27 @@ describe('bin/claudelog', () => {
       );
     });
 
+    it('accepts a period name as ' +
+       'defaultReport', () => {
+      const dir = join(TEST_DIR, 'period');
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(
+        join(dir, 'config.json'),
+        JSON.stringify({
+          defaultReport: 'today',
+        })
+      );
+      const r = run([], makeEnv(dir));
+      // today: start and end are the same
+      assert.match(
+        r.stderr,
+        /(\d{4}-\d{2}-\d{2}) to \1\./
+      );
+      assert.doesNotMatch(
+        r.stderr, /defaultReport must be/
+      );
+    });
+
     it('ignores invalid defaultReport', () => {
       const dir = join(
         TEST_DIR, 'bad-config'
@@ -155,6 +176,12 @@ describe('bin/claudelog', () => {
       assert.match(r.stdout, /usage:/i);
     });
 
+    it('runs commits --help', () => {
+      const r = run(['commits', '--help']);
+      assert.equal(r.status, 0);
+      assert.match(r.stdout, /commits/);
+    });
+
     it('forwards flags to report', () => {
       const r = run([
         'report',
@@ -167,6 +194,37 @@ describe('bin/claudelog', () => {
       );
     });
 
+    it('rejects conflicting formats', () => {
+      const r = run([
+        'report', '--json',
+        '--format', 'markdown',
+      ]);
+      assert.equal(r.status, 2);
+      assert.match(
+        r.stderr, /choose one format/i
+      );
+    });
+
+    it('rejects conflicting commits ' +
+       'formats', () => {
+      const r = run([
+        'commits', '--json', '--csv',
+      ]);
+      assert.equal(r.status, 2);
+      assert.match(
+        r.stderr, /choose one format/i
+      );
+    });
+
+    it('rejects --format without a ' +
+       'value', () => {
+      const r = run(['report', '--format']);
+      assert.equal(r.status, 2);
+      assert.match(
+        r.stderr, /missing value/i
+      );
+    });
+
     it('forwards exit code', () => {
       const r = run([
         'report',
@@ -3,15 +3,29 @@ import { strict as assert }
   from 'node:assert';
 import {
   mkdtempSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
   writeFileSync,
   rmSync,
 } from 'node:fs';
 import { tmpdir } from 'node:os';
-import { join } from 'node:path';
-import { execSync } from 'node:child_process';
+import { basename, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  execSync,
+  spawnSync,
+} from 'node:child_process';
 import {
   detectProjectFromCwd,
   detectTicket,
+  detectModelFromTranscript,
+  detectProjectFromTranscript,
+  detectTurnUsage,
+  scanBackwards,
+  sessionConfigKey,
+  toolActivity,
+  activityFields,
   readTail,
   stripNulls,
   TAIL_BYTES,
@@ -98,6 +112,42 @@ describe('hooks/timelog', () => {
             }
           });
 
+        it('names a worktree after its ' +
+          'main repo', () => {
+            const tmpDir = mkdtempSync(
+              join(tmpdir(), 'git-wt-')
+            );
+            try {
+              const repo =
+                join(tmpDir, 'my-app');
+              mkdirSync(repo);
+              execSync(
+                'git init -q && ' +
+                'git -c user.email=t@t ' +
+                '-c user.name=t commit -q ' +
+                '--allow-empty -m init && ' +
+                'git worktree add -q ' +
+                '../my-app-feature',
+                { cwd: repo }
+              );
+              const result =
+                detectProjectFromCwd(
+                  join(
+                    tmpDir, 'my-app-feature'
+                  ),
+                  DEFAULT_CONFIG
+                );
+              assert.strictEqual(
+                result, 'my-app'
+              );
+            } finally {
+              rmSync(tmpDir, {
+                recursive: true,
+                force: true,
+              });
+            }
+          });
+
         it('falls back to basename when git ' +
           'command fails', () => {
             const cfg = {
@@ -112,6 +162,40 @@ describe('hooks/timelog', () => {
             assert.strictEqual(result, 'path');
           });
       });
+
+    describe('WHEN projectSource is ' +
+      'git-remote', () => {
+        const cfg = {
+          ...DEFAULT_CONFIG,
+          projectSource: 'git-remote',
+        };
+
+        it('uses the given remote', () => {
+          assert.strictEqual(
+            detectProjectFromCwd(
+              '/nonexistent/path',
+              cfg,
+              'acme/api'
+            ),
+            'acme/api'
+          );
+        });
+
+        it('falls back without a remote', () => {
+          assert.strictEqual(
+            detectProjectFromCwd(
+              '/nonexistent/path', cfg, null
+            ),
+            'path'
+          );
+          assert.strictEqual(
+            detectProjectFromCwd(
+              '/nonexistent/path', cfg
+            ),
+            'path'
+          );
+        });
+      });
   });
 
   describe('detectTicket', () => {
@@ -242,6 +326,621 @@ describe('hooks/timelog', () => {
       });
   });
 
+  // Transcripts live under
+  // ~/.claude/projects, so point HOME at
+  // a temp dir for the duration.
+  function withTranscript(records, fn) {
+    const home = mkdtempSync(
+      join(tmpdir(), 'transcript-test-')
+    );
+    const prevHome = process.env.HOME;
+    process.env.HOME = home;
+    try {
+      const dir = join(
+        home, '.claude', 'projects',
+        '-work-app'
+      );
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(
+        join(dir, 'sess-1.jsonl'),
+        records
+          .map((r) => JSON.stringify(r))
+          .join('\n') + '\n'
+      );
+      return fn();
+    } finally {
+      process.env.HOME = prevHome;
+      rmSync(home, {
+        recursive: true,
+        force: true,
+      });
+    }
+  }
+
+  describe('detectModelFromTranscript', () => {
+    it('returns latest assistant model',
+      () => {
+        const model = withTranscript([
+          {
+            type: 'assistant',
+            message: {
+              model: 'claude-opus-4-6',
+            },
+          },
+          {
+            type: 'assistant',
+            message: {
+              model: 'claude-sonnet-4-6',
+            },
+          },
+          { type: 'user',
+            message: { content: 'next' } },
+        ], () => detectModelFromTranscript(
+          '/work/app', 'sess-1'
+        ));
+        assert.strictEqual(
+          model, 'claude-sonnet-4-6'
+        );
+      });
+
+    it('picks up a /model switch before ' +
+       'the next reply', () => {
+      const model = withTranscript([
+        {
+          type: 'assistant',
+          message: {
+            model: 'claude-opus-4-6',
+          },
+        },
+        {
+          type: 'user',
+          message: {
+            content:
+              '<local-command-stdout>' +
+              'Set model to haiku ' +
+              '(claude-haiku-4-5)' +
+              '</local-command-stdout>',
+          },
+        },
+      ], () => detectModelFromTranscript(
+        '/work/app', 'sess-1'
+      ));
+      assert.strictEqual(
+        model, 'claude-haiku-4-5'
+      );
+    });
+
+    it('returns null without a transcript',
+      () => {
+        const model = withTranscript(
+          [],
+          () => detectModelFromTranscript(
+            '/work/app', 'missing'
+          )
+        );
+        assert.strictEqual(model, null);
+      });
+  });
+
+  describe('detectTurnUsage', () => {
+    it('sums the turn that just ended', () => {
+      const usage = withTranscript([
+        {
+          type: 'user',
+          uuid: 'p1',
+          message: { content: 'go' },
+        },
+        {
+          type: 'assistant',
+          message: {
+            id: 'm1',
+            usage: {
+              input_tokens: 3,
+              output_tokens: 40,
+            },
+          },
+        },
+        {
+          type: 'assistant',
+          message: {
+            id: 'm2',
+            usage: {
+              input_tokens: 2,
+              output_tokens: 60,
+              cache_read_input_tokens: 500,
+            },
+          },
+        },
+      ], () => detectTurnUsage(
+        '/work/app', 'sess-1'
+      ));
+      assert.deepStrictEqual(usage, {
+        turn: 'p1',
+        tokens: {
+          input: 5,
+          output: 100,
+          cacheRead: 500,
+          cacheWrite: 0,
+        },
+      });
+    });
+
+    it('reaches a prompt before a large ' +
+       'tool result', () => {
+      const usage = withTranscript([
+        {
+          type: 'user',
+          uuid: 'p0',
+          message: { content: 'earlier' },
+        },
+        {
+          type: 'user',
+          uuid: 'p1',
+          message: { content: 'go' },
+        },
+        {
+          type: 'assistant',
+          message: {
+            id: 'm1',
+            usage: { output_tokens: 40 },
+          },
+        },
+        {
+          type: 'user',
+          message: {
+            content: [{
+              type: 'tool_result',
+              content: 'x'.repeat(
+                TAIL_BYTES * 2
+              ),
+            }],
+          },
+        },
+        {
+          type: 'assistant',
+          message: {
+            id: 'm2',
+            usage: { output_tokens: 60 },
+          },
+        },
+      ], () => detectTurnUsage(
+        '/work/app', 'sess-1'
+      ));
+      assert.strictEqual(usage.turn, 'p1');
+      assert.strictEqual(
+        usage.tokens.output, 100
+      );
+    });
+
+    it('returns null without a transcript',
+      () => {
+        const usage = withTranscript(
+          [],
+          () => detectTurnUsage(
+            '/work/app', 'missing'
+          )
+        );
+        assert.strictEqual(usage, null);
+      });
+  });
+
+  describe('scanBackwards', () => {
+    function withFile(lines, fn) {
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'scan-test-')
+      );
+      try {
+        const file =
+          join(tmpDir, 'log.jsonl');
+        writeFileSync(
+          file, lines.join('\n') + '\n'
+        );
+        return fn(file);
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    }
+
+    it('reads past a large record', () => {
+      const big = JSON.stringify({
+        n: 1, pad: 'x'.repeat(TAIL_BYTES * 3),
+      });
+      const found = withFile([
+        JSON.stringify({ n: 0, hit: true }),
+        big,
+        JSON.stringify({ n: 2 }),
+      ], (file) => scanBackwards(
+        file, (r) => (r.hit ? r.n : null)
+      ));
+      assert.strictEqual(found, 0);
+    });
+
+    it('stops at the record limit', () => {
+      const lines = [
+        JSON.stringify({ hit: true }),
+        ...Array.from(
+          { length: 5 },
+          (_, n) => JSON.stringify({ n })
+        ),
+      ];
+      const found = withFile(
+        lines,
+        (file) => scanBackwards(
+          file,
+          (r) => (r.hit ? 'hit' : null),
+          { limit: 5 }
+        )
+      );
+      assert.strictEqual(found, null);
+    });
+
+    it('stops at the given offset', () => {
+      const first =
+        JSON.stringify({ hit: true });
+      const found = withFile([
+        first,
+        JSON.stringify({ n: 1 }),
+      ], (file) => scanBackwards(
+        file,
+        (r) => (r.hit ? 'hit' : null),
+        { stop: first.length + 1 }
+      ));
+      assert.strictEqual(found, null);
+    });
+  });
+
+  describe('detectProjectFromTranscript', () => {
+    const cfg = {
+      ...DEFAULT_CONFIG,
+      projectPattern: 'projects/([^/]+)',
+    };
+    const edit = (path) => ({
+      type: 'assistant',
+      message: {
+        content: [{
+          type: 'tool_use',
+          input: { file_path: path },
+        }],
+      },
+    });
+
+    it('reuses the cached project when ' +
+       'nothing new matches', () => {
+      const stateDir = mkdtempSync(
+        join(tmpdir(), 'state-test-')
+      );
+      try {
+        const first = withTranscript(
+          [edit('/home/me/projects/api/a.js')],
+          () => detectProjectFromTranscript(
+            '/work/app', 'sess-1', cfg, stateDir
+          )
+        );
+        assert.strictEqual(first, 'api');
+        // Same session, no matching path in
+        // what was appended since
+        const second = withTranscript(
+          [
+            edit('/home/me/projects/api/a.js'),
+            { type: 'user',
+              message: { content: 'more' } },
+          ],
+          () => detectProjectFromTranscript(
+            '/work/app', 'sess-1', cfg, stateDir
+          )
+        );
+        assert.strictEqual(second, 'api');
+      } finally {
+        rmSync(stateDir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+
+    it('drops the cache when project ' +
+       'settings change', () => {
+      const stateDir = mkdtempSync(
+        join(tmpdir(), 'state-test-')
+      );
+      try {
+        const records = [
+          edit('/home/me/projects/api/a.js'),
+        ];
+        withTranscript(records, () =>
+          detectProjectFromTranscript(
+            '/work/app', 'sess-1', cfg, stateDir
+          )
+        );
+        const next = withTranscript(
+          [
+            ...records,
+            { type: 'user',
+              message: { content: 'more' } },
+          ],
+          () => detectProjectFromTranscript(
+            '/work/app', 'sess-1',
+            {
+              ...cfg,
+              projectPattern: 'home/([^/]+)',
+            },
+            stateDir
+          )
+        );
+        assert.strictEqual(next, 'me');
+      } finally {
+        rmSync(stateDir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+
+    it('follows a newer path', () => {
+      const stateDir = mkdtempSync(
+        join(tmpdir(), 'state-test-')
+      );
+      try {
+        withTranscript(
+          [edit('/home/me/projects/api/a.js')],
+          () => detectProjectFromTranscript(
+            '/work/app', 'sess-1', cfg, stateDir
+          )
+        );
+        const next = withTranscript(
+          [
+            edit('/home/me/projects/api/a.js'),
+            edit('/home/me/projects/web/b.js'),
+          ],
+          () => detectProjectFromTranscript(
+            '/work/app', 'sess-1', cfg, stateDir
+          )
+        );
+        assert.strictEqual(next, 'web');
+      } finally {
+        rmSync(stateDir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+  });
+
+  describe('toolActivity', () => {
+    it('reads tool name and file path', () => {
+      assert.deepStrictEqual(
+        toolActivity({
+          tool_name: 'Edit',
+          tool_input: {
+            file_path: '/work/app/a.js',
+            old_string: 'x',
+          },
+        }),
+        { tool: 'Edit', file: '/work/app/a.js' }
+      );
+    });
+
+    it('returns nulls for Stop', () => {
+      assert.deepStrictEqual(
+        toolActivity({
+          hook_event_name: 'Stop',
+        }),
+        { tool: null, file: null }
+      );
+    });
+  });
+
+  describe('activityFields', () => {
+    const cached = {
+      project: 'my-app',
+      client: 'Acme',
+      commit: 'abc123',
+      ticket: 'BAN-7',
+    };
+    const cfg = {
+      ...DEFAULT_CONFIG,
+      projectPattern: 'projects/([^/]+)',
+      projectAliases: { api: 'acme-api' },
+    };
+
+    it('reuses the cached fields', () => {
+      assert.deepStrictEqual(
+        activityFields(
+          cached, '/tmp/notes.md', cfg
+        ),
+        cached
+      );
+    });
+
+    it('takes the project of a matching ' +
+       'file', () => {
+      assert.deepStrictEqual(
+        activityFields(
+          cached,
+          '/home/me/projects/api/a.js',
+          cfg
+        ),
+        {
+          ...cached,
+          project: 'acme-api',
+          rawProject: 'api',
+          client: null,
+        }
+      );
+    });
+  });
+
+  describe('hook', () => {
+    const HOOK = join(
+      fileURLToPath(import.meta.url),
+      '..', '..', '..', 'hooks',
+      'timelog.mjs'
+    );
+
+    // Runs the hook once and returns the
+    // entries it logged.
+    function runHook(dir, input) {
+      const r = spawnSync(
+        process.execPath, [HOOK],
+        {
+          input: JSON.stringify(input),
+          encoding: 'utf8',
+          env: {
+            ...process.env,
+            HOME: dir,
+            CLAUDE_TIMELOG_DIR: dir,
+          },
+        }
+      );
+      assert.equal(r.status, 0, r.stderr);
+      return readdirSync(dir)
+        .filter((f) => f.endsWith('.jsonl'))
+        .flatMap((f) => readFileSync(
+          join(dir, f), 'utf8'
+        ).trim().split('\n'))
+        .map((l) => JSON.parse(l));
+    }
+
+    it('logs activity events from the ' +
+       'session cache', () => {
+      const dir = mkdtempSync(
+        join(tmpdir(), 'hook-test-')
+      );
+      try {
+        mkdirSync(
+          join(dir, '.state', 'sessions'),
+          { recursive: true }
+        );
+        writeFileSync(
+          join(
+            dir, '.state', 'sessions',
+            's1.json'
+          ),
+          JSON.stringify({
+            config: sessionConfigKey(
+              DEFAULT_CONFIG
+            ),
+            entry: {
+              project: 'cached-app',
+              commit: 'abc123',
+              ticket: 'BAN-7',
+            },
+          })
+        );
+        const [e] = runHook(dir, {
+          hook_event_name: 'PreToolUse',
+          session_id: 's1',
+          cwd: dir,
+          tool_name: 'Read',
+          tool_input: {
+            file_path: '/tmp/a.md',
+          },
+        });
+        assert.equal(e.project, 'cached-app');
+        assert.equal(e.commit, 'abc123');
+        assert.equal(e.ticket, 'BAN-7');
+        assert.equal(e.tool, 'Read');
+      } finally {
+        rmSync(dir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+
+    it('refreshes the cached commit after ' +
+       'a shell command', () => {
+      const dir = mkdtempSync(
+        join(tmpdir(), 'hook-test-')
+      );
+      try {
+        execSync(
+          'git init -q && ' +
+          'git -c user.email=t@t ' +
+          '-c user.name=t commit -q ' +
+          '--allow-empty -m init',
+          { cwd: dir }
+        );
+        const head = execSync(
+          'git rev-parse HEAD',
+          { cwd: dir, encoding: 'utf8' }
+        ).trim();
+        mkdirSync(
+          join(dir, '.state', 'sessions'),
+          { recursive: true }
+        );
+        const stateFile = join(
+          dir, '.state', 'sessions', 's3.json'
+        );
+        writeFileSync(
+          stateFile,
+          JSON.stringify({
+            config: sessionConfigKey(
+              DEFAULT_CONFIG
+            ),
+            entry: {
+              project: 'cached-app',
+              commit: 'abc123',
+            },
+          })
+        );
+        const [e] = runHook(dir, {
+          hook_event_name: 'PostToolUse',
+          session_id: 's3',
+          cwd: dir,
+          tool_name: 'Bash',
+          tool_input: {
+            command: 'git commit -m x',
+          },
+        });
+        assert.equal(e.commit, head);
+        assert.equal(e.project, 'cached-app');
+        const state = JSON.parse(
+          readFileSync(stateFile, 'utf8')
+        );
+        assert.equal(state.entry.commit, head);
+      } finally {
+        rmSync(dir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+
+    it('detects and caches fields without ' +
+       'a cache', () => {
+      const dir = mkdtempSync(
+        join(tmpdir(), 'hook-test-')
+      );
+      try {
+        const [e] = runHook(dir, {
+          hook_event_name: 'Stop',
+          session_id: 's2',
+          cwd: dir,
+        });
+        assert.equal(e.project, basename(dir));
+        const state = JSON.parse(readFileSync(
+          join(
+            dir, '.state', 'sessions',
+            's2.json'
+          ),
+          'utf8'
+        ));
+        assert.equal(
+          state.entry.project, basename(dir)
+        );
+      } finally {
+        rmSync(dir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+  });
+
   describe('readTail', () => {
     it('reads last bytes of file', () => {
       const tmpDir = mkdtempSync(
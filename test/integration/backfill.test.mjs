@@ -2,11 +2,18 @@ import { describe, it } from 'node:test';
 import { strict as assert } from 'node:assert/strict';
 import {
   writeFileSync,
+  appendFileSync,
+  existsSync,
+  readFileSync,
+  mkdirSync,
   mkdtempSync,
+  statSync,
   rmSync,
 } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
 import { processTranscript } from
   '../../scripts/backfill.mjs';
 import {
@@ -98,4 +105,240 @@ describe('backfill integration', () => {
       }
     }
   );
+
+  describe('CLI runs', () => {
+    const SCRIPT = join(
+      fileURLToPath(import.meta.url),
+      '..', '..', '..',
+      'scripts', 'backfill.mjs'
+    );
+
+    function transcript(day) {
+      return makeTranscriptRecords()
+        .map((r) => JSON.stringify({
+          ...r,
+          timestamp: r.timestamp?.replace(
+            '2026-02-10', day
+          ),
+        }))
+        .join('\n') + '\n';
+    }
+
+    // Two transcripts (s1 on 2026-02-10, s2
+    // on 2026-02-11) under a temp HOME.
+    function withTranscripts(fn) {
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'backfill-int-')
+      );
+      try {
+        const projects = join(
+          tmpDir, '.claude', 'projects', 'p'
+        );
+        const logDir = join(tmpDir, 'log');
+        mkdirSync(projects, {
+          recursive: true,
+        });
+        mkdirSync(logDir);
+        writeFileSync(
+          join(projects, 's1.jsonl'),
+          transcript('2026-02-10')
+        );
+        writeFileSync(
+          join(projects, 's2.jsonl'),
+          transcript('2026-02-11')
+        );
+        const run = (...args) => spawnSync(
+          'node', [SCRIPT, ...args],
+          {
+            encoding: 'utf8',
+            env: {
+              ...process.env,
+              HOME: tmpDir,
+              CLAUDE_TIMELOG_DIR: logDir,
+            },
+            timeout: 10000,
+          }
+        );
+        const day = (d) =>
+          join(logDir, `${d}.jsonl`);
+        fn({ projects, run, day });
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+        });
+      }
+    }
+
+    it('only rewrites days of changed ' +
+      'transcripts', () => {
+      withTranscripts(({ projects, run, day }) => {
+        assert.equal(run().status, 0);
+        const before = statSync(
+          day('2026-02-10')
+        ).mtimeMs;
+        const first = readFileSync(
+          day('2026-02-11'), 'utf8'
+        );
+
+        appendFileSync(
+          join(projects, 's2.jsonl'),
+          JSON.stringify({
+            type: 'user',
+            timestamp:
+              '2026-02-11T12:00:00.000Z',
+            message: { content: 'More' },
+          }) + '\n'
+        );
+        const r = run();
+        assert.match(
+          r.stderr, /Processing 1 of 2/
+        );
+        assert.equal(
+          statSync(day('2026-02-10')).mtimeMs,
+          before
+        );
+        const second = readFileSync(
+          day('2026-02-11'), 'utf8'
+        );
+        assert.notEqual(second, first);
+        assert.match(second, /"More"/);
+
+        assert.match(
+          run('--full').stderr,
+          /Processing 2 transcripts/
+        );
+        assert.equal(
+          readFileSync(
+            day('2026-02-11'), 'utf8'
+          ),
+          second
+        );
+      });
+    });
+
+    it('leaves days outside the range ' +
+      'unchanged', () => {
+      withTranscripts(({ run, day }) => {
+        assert.equal(run().status, 0);
+        // Hand edits stand in for entries
+        // a new config would rewrite
+        const outside = readFileSync(
+          day('2026-02-10'), 'utf8'
+        ).replace(/my-app/g, 'old-name');
+        writeFileSync(
+          day('2026-02-10'), outside
+        );
+        writeFileSync(
+          day('2026-02-11'),
+          readFileSync(
+            day('2026-02-11'), 'utf8'
+          ).replace(/my-app/g, 'old-name')
+        );
+
+        const r = run(
+          '--from', '2026-02-11',
+          '--to', '2026-02-11'
+        );
+        assert.equal(r.status, 0);
+        assert.equal(
+          readFileSync(
+            day('2026-02-10'), 'utf8'
+          ),
+          outside
+        );
+        assert.doesNotMatch(
+          readFileSync(
+            day('2026-02-11'), 'utf8'
+          ),
+          /old-name/
+        );
+      });
+    });
+
+    it('only reads folders matching ' +
+      '--project', () => {
+      withTranscripts(({ run }) => {
+        assert.match(
+          run('--project', 'nomatch').stderr,
+          /Processing 0 transcripts/
+        );
+        assert.match(
+          run('--project', 'p').stderr,
+          /Processing 2 transcripts/
+        );
+      });
+    });
+
+    it('rejects a value flag without a ' +
+      'value', () => {
+      withTranscripts(({ run, day }) => {
+        for (
+          const args of [
+            ['--dry-run', '--from'],
+            ['--from', '--full'],
+            ['--to'],
+            ['--prefer'],
+            ['--prefer', '--dry-run'],
+          ]
+        ) {
+          const r = run(...args);
+          assert.equal(r.status, 2);
+          assert.match(
+            r.stderr, /needs a value/
+          );
+        }
+        assert.ok(
+          !existsSync(day('2026-02-10'))
+        );
+      });
+    });
+
+    it('does not duplicate sessions ' +
+      'logged live', () => {
+      withTranscripts(({ run, day }) => {
+        const live = [
+          {
+            ts: '2026-02-10T09:00:00.500Z',
+            event: 'SessionStart',
+            session: 's1',
+            source: 'startup',
+          },
+          {
+            ts: '2026-02-10T09:00:01.000Z',
+            event: 'UserPromptSubmit',
+            session: 's1',
+            prompt: 'Fix the login bug',
+          },
+        ];
+        writeFileSync(
+          day('2026-02-10'),
+          live.map((e) => JSON.stringify(e))
+            .join('\n') + '\n'
+        );
+
+        const r = run();
+        assert.match(
+          r.stderr, /Deduplicated 1 sessions/
+        );
+        const entries = readFileSync(
+          day('2026-02-10'), 'utf8'
+        ).trim().split('\n')
+          .map((l) => JSON.parse(l));
+        const count = (event) =>
+          entries.filter(
+            (e) => e.event === event
+          ).length;
+        assert.equal(count('SessionStart'), 1);
+        assert.equal(
+          count('UserPromptSubmit'), 2
+        );
+        assert.equal(
+          entries.find(
+            (e) => e.event === 'SessionStart'
+          ).source,
+          'startup'
+        );
+      });
+    });
+  });
 });
@@ -13,7 +13,13 @@ import {
   loadConfig,
   matchTicket,
   extractProjectFromPath,
+  matchProjectPath,
+  resolveProjectAlias,
+  resolveClient,
   extractFilePaths,
+  extractModel,
+  extractUsage,
+  lastTurnUsage,
   validateConfig,
 } from '../../lib/config.mjs';
 import { DEFAULT_CONFIG }
@@ -303,6 +309,168 @@ describe('lib/config', () => {
       });
   });
 
+  describe('matchProjectPath', () => {
+    const cfg = {
+      ...DEFAULT_CONFIG,
+      projectPatterns: [
+        {
+          label: 'clients',
+          pattern:
+            '/clients/([^/]+)/([^/]+)',
+          name: '$1/$2',
+          client: '$1',
+        },
+        '/projects/([^/]+)',
+        {
+          pattern: '^/srv/work/(?<repo>[^/]+)',
+          name: 'work-$<repo>',
+        },
+      ],
+      projectPattern: '/code/([^/]+)',
+    };
+
+    it('applies the first matching rule',
+      () => {
+        assert.deepEqual(
+          matchProjectPath(
+            '/home/ed/clients/acme/api/x.js',
+            cfg
+          ),
+          {
+            project: 'acme/api',
+            client: 'acme',
+            label: 'clients',
+          }
+        );
+      });
+
+    it('uses capture group 1 without ' +
+       'a name', () => {
+      assert.strictEqual(
+        extractProjectFromPath(
+          '/home/ed/projects/web/a.js', cfg
+        ),
+        'web'
+      );
+    });
+
+    it('expands named groups', () => {
+      assert.strictEqual(
+        extractProjectFromPath(
+          '/srv/work/billing/a.js', cfg
+        ),
+        'work-billing'
+      );
+    });
+
+    it('falls back to projectPattern', () => {
+      assert.deepEqual(
+        matchProjectPath(
+          '/home/ed/code/tool/a.js', cfg
+        ),
+        {
+          project: 'tool',
+          client: null,
+          label: null,
+        }
+      );
+    });
+
+    it('returns null when nothing matches',
+      () => {
+        assert.strictEqual(
+          matchProjectPath('/tmp/a.js', cfg),
+          null
+        );
+      });
+  });
+
+  describe('resolveProjectAlias', () => {
+    const cfg = {
+      ...DEFAULT_CONFIG,
+      projectAliases: {
+        acme_api: 'acme-api',
+        '/^acme-api-worktree-\\d+$/':
+          'acme-api',
+        '/^WEB$/i': 'web',
+      },
+    };
+
+    it('maps exact names', () => {
+      assert.strictEqual(
+        resolveProjectAlias('acme_api', cfg),
+        'acme-api'
+      );
+    });
+
+    it('maps /regex/ keys', () => {
+      assert.strictEqual(
+        resolveProjectAlias(
+          'acme-api-worktree-2', cfg
+        ),
+        'acme-api'
+      );
+      assert.strictEqual(
+        resolveProjectAlias('web', cfg),
+        'web'
+      );
+    });
+
+    it('passes other names through', () => {
+      assert.strictEqual(
+        resolveProjectAlias('other', cfg),
+        'other'
+      );
+      assert.strictEqual(
+        resolveProjectAlias(
+          'acme_api', DEFAULT_CONFIG
+        ),
+        'acme_api'
+      );
+    });
+  });
+
+  describe('resolveClient', () => {
+    const cfg = {
+      ...DEFAULT_CONFIG,
+      clients: {
+        Acme: ['/^acme-/', 'widgets'],
+        Internal: ['acme-tools'],
+      },
+    };
+
+    it('prefers exact names', () => {
+      assert.strictEqual(
+        resolveClient('acme-tools', cfg),
+        'Internal'
+      );
+      assert.strictEqual(
+        resolveClient('widgets', cfg),
+        'Acme'
+      );
+    });
+
+    it('matches /regex/ entries', () => {
+      assert.strictEqual(
+        resolveClient('acme-api', cfg),
+        'Acme'
+      );
+    });
+
+    it('returns null when unlisted', () => {
+      assert.strictEqual(
+        resolveClient('other', cfg),
+        null
+      );
+      assert.strictEqual(
+        resolveClient(
+          'widgets', DEFAULT_CONFIG
+        ),
+        null
+      );
+    });
+  });
+
   describe('extractFilePaths', () => {
     it('extracts file_path from tool_use',
       () => {
@@ -453,6 +621,149 @@ describe('lib/config', () => {
     });
   });
 
+  describe('extractModel', () => {
+    it('reads assistant message model',
+      () => {
+        assert.strictEqual(
+          extractModel({
+            type: 'assistant',
+            message: {
+              model: 'claude-opus-4-6',
+            },
+          }),
+          'claude-opus-4-6'
+        );
+      });
+
+    it('ignores synthetic messages', () => {
+      assert.strictEqual(
+        extractModel({
+          type: 'assistant',
+          message: { model: '<synthetic>' },
+        }),
+        null
+      );
+    });
+
+    it('detects /model switches', () => {
+      assert.strictEqual(
+        extractModel({
+          type: 'user',
+          message: {
+            content:
+              '<local-command-stdout>' +
+              'Set model to \u001b[1msonnet ' +
+              '(claude-sonnet-4-6)\u001b[22m' +
+              '</local-command-stdout>',
+          },
+        }),
+        'claude-sonnet-4-6'
+      );
+    });
+
+    it('ignores ordinary prompts', () => {
+      assert.strictEqual(
+        extractModel({
+          type: 'user',
+          message: {
+            content: 'Set model to ' +
+              'claude-haiku in config',
+          },
+        }),
+        null
+      );
+    });
+  });
+
+  describe('extractUsage', () => {
+    it('maps message.usage fields', () => {
+      assert.deepEqual(
+        extractUsage({
+          type: 'assistant',
+          message: {
+            id: 'msg_1',
+            usage: {
+              input_tokens: 10,
+              output_tokens: 200,
+              cache_read_input_tokens: 3000,
+              cache_creation_input_tokens: 40,
+            },
+          },
+        }),
+        {
+          id: 'msg_1',
+          input: 10,
+          output: 200,
+          cacheRead: 3000,
+          cacheWrite: 40,
+        }
+      );
+    });
+
+    it('returns null without usage', () => {
+      assert.strictEqual(
+        extractUsage({ type: 'user' }),
+        null
+      );
+    });
+  });
+
+  describe('lastTurnUsage', () => {
+    const prompt = (uuid) => ({
+      type: 'user',
+      uuid,
+      message: { content: 'do it' },
+    });
+    const reply = (id, output) => ({
+      type: 'assistant',
+      message: {
+        id,
+        usage: {
+          input_tokens: 1,
+          output_tokens: output,
+        },
+      },
+    });
+
+    it('sums the last answered turn', () => {
+      const usage = lastTurnUsage([
+        prompt('p1'),
+        reply('m1', 100),
+        prompt('p2'),
+        reply('m2', 10),
+        reply('m3', 20),
+        prompt('p3'),
+      ]);
+      assert.strictEqual(usage.turn, 'p2');
+      assert.strictEqual(
+        usage.tokens.output, 30
+      );
+      assert.strictEqual(
+        usage.tokens.input, 2
+      );
+    });
+
+    it('counts a message id once', () => {
+      // Streamed replies repeat the same
+      // message id once per content block
+      const usage = lastTurnUsage([
+        prompt('p1'),
+        reply('m1', 50),
+        reply('m1', 50),
+      ]);
+      assert.strictEqual(
+        usage.tokens.output, 50
+      );
+    });
+
+    it('returns null with no usage', () => {
+      assert.strictEqual(
+        lastTurnUsage([prompt('p1')]),
+        null
+      );
+    });
+  });
+
   describe('validateConfig', () => {
     it('passes valid config through',
       () => {
@@ -555,6 +866,16 @@ describe('lib/config', () => {
           cfg.projectSource, 'cwd'
         );
       });
+
+      it('accepts git-remote', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          projectSource: 'git-remote',
+        });
+        assert.strictEqual(
+          cfg.projectSource, 'git-remote'
+        );
+      });
     });
 
     describe('defaultReport', () => {
@@ -581,6 +902,20 @@ describe('lib/config', () => {
         );
       });
 
+      it('accepts a period name', () => {
+        for (
+          const v of ['last-week', 'since 10d']
+        ) {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            defaultReport: v,
+          });
+          assert.strictEqual(
+            cfg.defaultReport, v
+          );
+        }
+      });
+
       it('filters non-string entries',
         () => {
           const cfg = validateConfig({
@@ -619,5 +954,377 @@ describe('lib/config', () => {
         );
       });
     });
+
+    describe('projectPatterns', () => {
+      it('normalises and keeps valid rules',
+        () => {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            projectPatterns: [
+              '/projects/([^/]+)',
+              {
+                pattern: '/c/([^/]+)/([^/]+)',
+                name: '$1/$2',
+                client: '$1',
+              },
+            ],
+          });
+          assert.deepEqual(
+            cfg.projectPatterns,
+            [
+              { pattern: '/projects/([^/]+)' },
+              {
+                pattern: '/c/([^/]+)/([^/]+)',
+                name: '$1/$2',
+                client: '$1',
+              },
+            ]
+          );
+        });
+
+      it('drops unsafe or invalid rules',
+        () => {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            projectPatterns: [
+              '(.+)+',
+              '[bad(',
+              { name: '$1' },
+              42,
+              { pattern: '/ok/', label: 7 },
+            ],
+          });
+          assert.deepEqual(
+            cfg.projectPatterns,
+            [{ pattern: '/ok/' }]
+          );
+        });
+
+      it('drops a non-array', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          projectPatterns: '/projects/',
+        });
+        assert.ok(
+          !('projectPatterns' in cfg)
+        );
+      });
+    });
+
+    describe('projectAliases', () => {
+      it('drops bad entries', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          projectAliases: {
+            a: 'b',
+            c: '',
+            '/(x+)+/': 'd',
+            '/[bad/': 'e',
+          },
+        });
+        assert.deepEqual(
+          cfg.projectAliases, { a: 'b' }
+        );
+      });
+
+      it('drops a non-object', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          projectAliases: ['a'],
+        });
+        assert.ok(
+          !('projectAliases' in cfg)
+        );
+      });
+    });
+
+    describe('clients', () => {
+      it('drops bad entries', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          clients: {
+            Acme: ['a', '', '/(x+)+/', 3],
+            Solo: 'b',
+            Bad: { a: 1 },
+          },
+        });
+        assert.deepEqual(cfg.clients, {
+          Acme: ['a'],
+          Solo: ['b'],
+        });
+      });
+
+      it('drops a non-object', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          clients: ['a'],
+        });
+        assert.ok(!('clients' in cfg));
+      });
+    });
+
+    describe('rates', () => {
+      it('accepts valid rates', () => {
+        const rates = {
+          currency: 'GBP',
+          projects: { 'my-app': 120 },
+          tickets: { 'BAN-1': 150 },
+        };
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          rates,
+        });
+        assert.deepEqual(cfg.rates, rates);
+      });
+
+      it('rejects non-object', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          rates: [100],
+        });
+        assert.strictEqual(
+          cfg.rates, undefined
+        );
+      });
+
+      it('drops invalid currency', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          rates: {
+            currency: 'pounds',
+            projects: { a: 1 },
+          },
+        });
+        assert.strictEqual(
+          cfg.rates.currency, undefined
+        );
+        assert.deepEqual(
+          cfg.rates.projects, { a: 1 }
+        );
+      });
+
+      it('drops negative and non-numeric ' +
+        'rates', () => {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            rates: {
+              projects: {
+                ok: '90',
+                neg: -5,
+                bad: 'abc',
+                nul: null,
+              },
+            },
+          });
+          assert.deepEqual(
+            cfg.rates.projects, { ok: 90 }
+          );
+        });
+
+      it('replaces non-object rate map',
+        () => {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            rates: { tickets: 'BAN-1' },
+          });
+          assert.deepEqual(
+            cfg.rates.tickets, {}
+          );
+        });
+    });
+
+    describe('rounding', () => {
+      it('fills default mode and scope',
+        () => {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            rounding: { increment: 6 },
+          });
+          assert.deepEqual(cfg.rounding, {
+            increment: 6,
+            mode: 'nearest',
+            scope: 'line',
+          });
+        });
+
+      it('accepts valid settings', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          rounding: {
+            increment: '15',
+            mode: 'up',
+            scope: 'day',
+          },
+        });
+        assert.deepEqual(cfg.rounding, {
+          increment: 15,
+          mode: 'up',
+          scope: 'day',
+        });
+      });
+
+      it('rejects invalid increment', () => {
+        for (
+          const increment of [
+            0, -6, 'x', 2000, 0.5,
+          ]
+        ) {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            rounding: { increment },
+          });
+          assert.strictEqual(
+            cfg.rounding, undefined
+          );
+        }
+      });
+
+      it('defaults invalid mode and scope',
+        () => {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            rounding: {
+              increment: 6,
+              mode: 'sideways',
+              scope: 'week',
+            },
+          });
+          assert.strictEqual(
+            cfg.rounding.mode, 'nearest'
+          );
+          assert.strictEqual(
+            cfg.rounding.scope, 'line'
+          );
+        });
+
+      it('treats null as disabled', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          rounding: null,
+        });
+        assert.ok(!('rounding' in cfg));
+      });
+    });
+
+    describe('weekStart', () => {
+      it('normalises day names', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          weekStart: 'Sunday',
+        });
+        assert.strictEqual(cfg.weekStart, 0);
+      });
+
+      it('accepts 0-6', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          weekStart: 6,
+        });
+        assert.strictEqual(cfg.weekStart, 6);
+      });
+
+      it('drops invalid values', () => {
+        for (
+          const weekStart of ['funday', 7, -1]
+        ) {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            weekStart,
+          });
+          assert.ok(!('weekStart' in cfg));
+        }
+      });
+    });
+
+    describe('overlapPolicy', () => {
+      it('accepts known policies', () => {
+        for (
+          const p of ['sum', 'first', 'split']
+        ) {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            overlapPolicy: p,
+          });
+          assert.strictEqual(
+            cfg.overlapPolicy, p
+          );
+        }
+      });
+
+      it('drops unknown policy', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          overlapPolicy: 'max',
+        });
+        assert.ok(
+          !('overlapPolicy' in cfg)
+        );
+      });
+    });
+
+    describe('timezone', () => {
+      it('keeps a valid IANA name', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          timezone: 'Europe/London',
+        });
+        assert.strictEqual(
+          cfg.timezone, 'Europe/London'
+        );
+      });
+
+      it('drops an unknown zone', () => {
+        for (
+          const timezone of ['Mars/Base', 42]
+        ) {
+          const cfg = validateConfig({
+            ...DEFAULT_CONFIG,
+            timezone,
+          });
+          assert.ok(!('timezone' in cfg));
+        }
+      });
+    });
+
+    describe('prices', () => {
+      it('keeps valid model prices', () => {
+        const prices = {
+          currency: 'EUR',
+          models: {
+            'claude-opus-4': {
+              input: 15, output: 75,
+            },
+          },
+        };
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          prices,
+        });
+        assert.deepEqual(cfg.prices, prices);
+      });
+
+      it('drops invalid entries', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          prices: {
+            currency: 'dollars',
+            models: {
+              a: { input: -1, output: 5 },
+            },
+          },
+        });
+        assert.deepEqual(cfg.prices, {
+          models: { a: { output: 5 } },
+        });
+      });
+
+      it('drops a non-object', () => {
+        const cfg = validateConfig({
+          ...DEFAULT_CONFIG,
+          prices: 10,
+        });
+        assert.ok(!('prices' in cfg));
+      });
+    });
   });
 });
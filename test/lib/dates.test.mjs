@@ -0,0 +1,171 @@
+import { describe, it } from 'node:test';
+import { strict as assert }
+  from 'node:assert';
+import {
+  addDays,
+  addMonths,
+  dateKey,
+  dayOfWeek,
+  isValidTimezone,
+  splitByDay,
+} from '../../lib/dates.mjs';
+
+describe('lib/dates', () => {
+  describe('dateKey', () => {
+    it('buckets by the given zone', () => {
+      const d =
+        new Date('2026-02-10T23:30:00Z');
+      assert.strictEqual(
+        dateKey(d, 'UTC'), '2026-02-10'
+      );
+      assert.strictEqual(
+        dateKey(d, 'America/New_York'),
+        '2026-02-10'
+      );
+      assert.strictEqual(
+        dateKey(d, 'Asia/Tokyo'),
+        '2026-02-11'
+      );
+    });
+
+    it('handles negative offsets', () => {
+      const d =
+        new Date('2026-02-11T03:00:00Z');
+      assert.strictEqual(
+        dateKey(d, 'America/Los_Angeles'),
+        '2026-02-10'
+      );
+    });
+  });
+
+  describe('addDays', () => {
+    it('crosses month and year', () => {
+      assert.strictEqual(
+        addDays('2026-02-28', 1),
+        '2026-03-01'
+      );
+      assert.strictEqual(
+        addDays('2026-01-01', -1),
+        '2025-12-31'
+      );
+    });
+
+    it('is unaffected by DST changes',
+      () => {
+        assert.strictEqual(
+          addDays('2026-03-28', 2),
+          '2026-03-30'
+        );
+        assert.strictEqual(
+          addDays('2026-11-01', 1),
+          '2026-11-02'
+        );
+      });
+  });
+
+  describe('addMonths', () => {
+    it('moves across years', () => {
+      assert.strictEqual(
+        addMonths('2026-02-11', -3),
+        '2025-11-11'
+      );
+      assert.strictEqual(
+        addMonths('2026-11-30', 2),
+        '2027-01-30'
+      );
+    });
+
+    it('clamps to short months', () => {
+      assert.strictEqual(
+        addMonths('2026-03-31', -1),
+        '2026-02-28'
+      );
+    });
+  });
+
+  describe('dayOfWeek', () => {
+    it('returns 0 for Sunday', () => {
+      assert.strictEqual(
+        dayOfWeek('2026-02-15'), 0
+      );
+      assert.strictEqual(
+        dayOfWeek('2026-02-09'), 1
+      );
+    });
+  });
+
+  describe('splitByDay', () => {
+    const ms = (iso) => Date.parse(iso);
+
+    it('returns one piece within a day',
+      () => {
+        const pieces = splitByDay(
+          ms('2026-02-10T09:00:00Z'),
+          ms('2026-02-10T09:30:00Z'),
+          'UTC'
+        );
+        assert.strictEqual(pieces.length, 1);
+        assert.strictEqual(
+          pieces[0].date, '2026-02-10'
+        );
+      });
+
+    it('cuts at local midnight', () => {
+      const pieces = splitByDay(
+        ms('2026-02-10T23:50:00Z'),
+        ms('2026-02-11T00:15:00Z'),
+        'UTC'
+      );
+      assert.deepEqual(
+        pieces.map((p) => [
+          p.date, (p.end - p.start) / 60000,
+        ]),
+        [
+          ['2026-02-10', 10],
+          ['2026-02-11', 15],
+        ]
+      );
+    });
+
+    it('uses the zone midnight', () => {
+      // 23:50-00:15 in New York (UTC-5)
+      const pieces = splitByDay(
+        ms('2026-02-11T04:50:00Z'),
+        ms('2026-02-11T05:15:00Z'),
+        'America/New_York'
+      );
+      assert.deepEqual(
+        pieces.map((p) => p.date),
+        ['2026-02-10', '2026-02-11']
+      );
+      assert.strictEqual(
+        pieces[0].end,
+        ms('2026-02-11T05:00:00Z')
+      );
+    });
+
+    it('ends exactly at midnight', () => {
+      const pieces = splitByDay(
+        ms('2026-02-10T23:50:00Z'),
+        ms('2026-02-11T00:00:00Z'),
+        'UTC'
+      );
+      assert.strictEqual(pieces.length, 1);
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    it('accepts IANA names', () => {
+      assert.ok(
+        isValidTimezone('Europe/London')
+      );
+      assert.ok(isValidTimezone('UTC'));
+    });
+
+    it('rejects junk', () => {
+      assert.ok(!isValidTimezone('Nope/X'));
+      assert.ok(!isValidTimezone(''));
+      assert.ok(!isValidTimezone(null));
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it } from 'node:test';
+import { strict as assert }
+  from 'node:assert';
+import {
+  mkdtempSync,
+  mkdirSync,
+  rmSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execSync } from 'node:child_process';
+import {
+  commitsBetween,
+  headCommit,
+  originRemote,
+  remoteSlug,
+  repoName,
+  repoNameFromCwd,
+} from '../../lib/git.mjs';
+
+// A repo with one commit, so worktrees can
+// be added, under a fresh temp dir.
+function withRepo(fn) {
+  const dir = mkdtempSync(
+    join(tmpdir(), 'git-lib-')
+  );
+  const repo = join(dir, 'my-app');
+  try {
+    mkdirSync(repo);
+    execSync(
+      'git init -q && ' +
+      'git -c user.email=t@t ' +
+      '-c user.name=t ' +
+      'commit -q --allow-empty -m init',
+      { cwd: repo }
+    );
+    fn(dir, repo);
+  } finally {
+    rmSync(dir, {
+      recursive: true,
+      force: true,
+    });
+  }
+}
+
+describe('lib/git', () => {
+  describe('remoteSlug', () => {
+    it('parses scp-style URLs', () => {
+      assert.strictEqual(
+        remoteSlug(
+          'git@github.com:acme/api.git'
+        ),
+        'acme/api'
+      );
+    });
+
+    it('parses https and ssh URLs', () => {
+      assert.strictEqual(
+        remoteSlug(
+          'https://github.com/acme/api'
+        ),
+        'acme/api'
+      );
+      assert.strictEqual(
+        remoteSlug(
+          'ssh://git@host:22/grp/sub/api.git'
+        ),
+        'sub/api'
+      );
+    });
+
+    it('returns null without a path', () => {
+      assert.strictEqual(
+        remoteSlug('https://host/'), null
+      );
+      assert.strictEqual(
+        remoteSlug(null), null
+      );
+    });
+  });
+
+  describe('repoName', () => {
+    it('names the repo owning a git dir',
+      () => {
+        assert.strictEqual(
+          repoName('/src/my-app/.git'),
+          'my-app'
+        );
+        assert.strictEqual(
+          repoName('/srv/my-app.git'),
+          'my-app'
+        );
+        assert.strictEqual(
+          repoName('/src/app/.git/modules/lib'),
+          'lib'
+        );
+      });
+  });
+
+  describe('repoNameFromCwd', () => {
+    it('names the repo from a subdir', () => {
+      withRepo((dir, repo) => {
+        const sub = join(repo, 'src');
+        mkdirSync(sub);
+        assert.strictEqual(
+          repoNameFromCwd(sub), 'my-app'
+        );
+      });
+    });
+
+    it('resolves a linked worktree', () => {
+      withRepo((dir, repo) => {
+        execSync(
+          'git worktree add -q ' +
+          '../feature-x',
+          { cwd: repo }
+        );
+        assert.strictEqual(
+          repoNameFromCwd(
+            join(dir, 'feature-x')
+          ),
+          'my-app'
+        );
+      });
+    });
+
+    it('returns null outside a repo', () => {
+      const dir = mkdtempSync(
+        join(tmpdir(), 'no-git-')
+      );
+      try {
+        assert.strictEqual(
+          repoNameFromCwd(dir), null
+        );
+      } finally {
+        rmSync(dir, {
+          recursive: true,
+          force: true,
+        });
+      }
+    });
+  });
+
+  describe('headCommit', () => {
+    it('returns the HEAD sha', () => {
+      withRepo((dir, repo) => {
+        assert.match(
+          headCommit(repo), /^[0-9a-f]{40}$/
+        );
+      });
+    });
+
+    it('returns null outside a repo', () => {
+      assert.strictEqual(
+        headCommit('/nonexistent/path'),
+        null
+      );
+    });
+  });
+
+  describe('commitsBetween', () => {
+    // Commit at a fixed time as `email`
+    function commitAt(repo, iso, msg, email) {
+      execSync(
+        `git -c user.email=${email} ` +
+        '-c user.name=t commit -q ' +
+        `--allow-empty -m "${msg}"`,
+        {
+          cwd: repo,
+          env: {
+            ...process.env,
+            GIT_AUTHOR_DATE: iso,
+            GIT_COMMITTER_DATE: iso,
+          },
+        }
+      );
+    }
+
+    it('lists commits in the window',
+      () => {
+        withRepo((dir, repo) => {
+          execSync(
+            'git config user.email me@x',
+            { cwd: repo }
+          );
+          commitAt(
+            repo, '2026-02-10T09:03:00Z',
+            'inside', 'me@x'
+          );
+          commitAt(
+            repo, '2026-02-10T09:04:00Z',
+            'teammate', 'other@x'
+          );
+          commitAt(
+            repo, '2026-02-10T12:00:00Z',
+            'later', 'me@x'
+          );
+          const since =
+            Date.parse('2026-02-10T09:00:00Z');
+          const until =
+            Date.parse('2026-02-10T10:00:00Z');
+          assert.deepEqual(
+            commitsBetween(
+              repo, since, until,
+              { mine: true }
+            ).map((c) =>
+              [c.subject, c.time]
+            ),
+            [[
+              'inside',
+              Date.parse(
+                '2026-02-10T09:03:00Z'
+              ),
+            ]]
+          );
+          // Every author by default
+          assert.deepEqual(
+            commitsBetween(
+              repo, since, until
+            ).map((c) => c.subject),
+            ['inside', 'teammate']
+          );
+        });
+      });
+  });
+
+  describe('originRemote', () => {
+    it('reads the origin remote', () => {
+      withRepo((dir, repo) => {
+        assert.strictEqual(
+          originRemote(repo), null
+        );
+        execSync(
+          'git remote add origin ' +
+          'git@github.com:acme/api.git',
+          { cwd: repo }
+        );
+        assert.strictEqual(
+          originRemote(repo), 'acme/api'
+        );
+      });
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it } from 'node:test';
 import { strict as assert } from 'node:assert/strict';
 import {
   writeFileSync,
+  mkdirSync,
   mkdtempSync,
   rmSync,
 } from 'node:fs';
@@ -11,12 +12,24 @@ import {
   isSystemInjected,
   isUserPrompt,
   extractPromptText,
+  findTranscripts,
   processTranscript,
+  readState,
+  configKey,
+  transcriptChanged,
+  parseDay,
+  mergeDay,
+  reconcile,
+  formatReconciled,
+  diffDay,
+  isEmptyDiff,
+  formatDayDiff,
   stripNulls,
 } from '../../scripts/backfill.mjs';
 import {
   makeTranscriptRecords,
   DEFAULT_CONFIG,
+  T4,
 } from '../helpers/fixtures.mjs';
 
 describe('backfill', () => {
@@ -307,6 +320,11 @@ describe('backfill', () => {
             entries[3].event,
             'SessionEnd'
           );
+          assert.ok(entries.every(
+            (e) =>
+              e.cwd ===
+              '/home/ed/projects/my-app'
+          ));
         } finally {
           rmSync(tmpDir, {
             recursive: true,
@@ -438,6 +456,556 @@ describe('backfill', () => {
         }
       }
     );
+
+    it('stamps the current model on ' +
+       'prompts after /model',
+    async () => {
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'backfill-')
+      );
+      try {
+        const tmpFile = join(
+          tmpDir, 'test.jsonl'
+        );
+        const records =
+          makeTranscriptRecords();
+        records.push(
+          {
+            type: 'user',
+            timestamp: T4,
+            message: {
+              content:
+                '<local-command-stdout>' +
+                'Set model to sonnet ' +
+                '(claude-sonnet-4-6)' +
+                '</local-command-stdout>',
+            },
+          },
+          {
+            type: 'user',
+            timestamp: T4,
+            message: {
+              content: 'And the docs',
+            },
+          }
+        );
+        writeFileSync(
+          tmpFile,
+          records
+            .map((r) => JSON.stringify(r))
+            .join('\n')
+        );
+
+        const entries =
+          await processTranscript(
+            tmpFile, DEFAULT_CONFIG
+          );
+        const prompts = entries.filter(
+          (e) =>
+            e.event === 'UserPromptSubmit'
+        );
+        assert.deepEqual(
+          prompts.map((e) => e.model),
+          [
+            null,
+            'claude-opus-4-6',
+            'claude-sonnet-4-6',
+          ]
+        );
+        assert.equal(
+          entries.at(-1).model,
+          'claude-sonnet-4-6'
+        );
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+        });
+      }
+    });
+
+    it('records project and client ' +
+       'from projectPatterns',
+    async () => {
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'backfill-')
+      );
+      try {
+        const tmpFile = join(
+          tmpDir, 'test.jsonl'
+        );
+        writeFileSync(
+          tmpFile,
+          makeTranscriptRecords()
+            .map((r) => JSON.stringify(r))
+            .join('\n')
+        );
+        const entries =
+          await processTranscript(tmpFile, {
+            ...DEFAULT_CONFIG,
+            projectPatterns: [{
+              pattern:
+                '/home/([^/]+)/projects/' +
+                '([^/]+)',
+              name: '$1-$2',
+              client: '$1',
+            }],
+          });
+        assert.deepEqual(
+          entries.map((e) =>
+            [e.project, e.client]
+          ),
+          Array(4).fill(['ed-my-app', 'ed'])
+        );
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+        });
+      }
+    });
+
+    it('writes turn tokens on the event ' +
+       'that closes the turn',
+    async () => {
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'backfill-')
+      );
+      try {
+        const tmpFile = join(
+          tmpDir, 'test.jsonl'
+        );
+        const records =
+          makeTranscriptRecords();
+        records[0].uuid = 'p1';
+        records[1].message.id = 'm1';
+        records[1].message.usage = {
+          input_tokens: 5,
+          output_tokens: 120,
+          cache_read_input_tokens: 900,
+        };
+        // Repeated block of the same message
+        records.splice(2, 0, records[1]);
+        writeFileSync(
+          tmpFile,
+          records
+            .map((r) => JSON.stringify(r))
+            .join('\n')
+        );
+
+        const entries =
+          await processTranscript(
+            tmpFile, DEFAULT_CONFIG
+          );
+        const prompts = entries.filter(
+          (e) =>
+            e.event === 'UserPromptSubmit'
+        );
+        assert.equal(prompts[0].tokens, undefined);
+        assert.equal(prompts[1].turn, 'p1');
+        assert.deepEqual(prompts[1].tokens, {
+          input: 5,
+          output: 120,
+          cacheRead: 900,
+          cacheWrite: 0,
+        });
+        assert.equal(
+          entries.at(-1).tokens, undefined
+        );
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+        });
+      }
+    });
+  });
+
+  describe('findTranscripts', () => {
+    it('scans project folders', () => {
+      const root = mkdtempSync(
+        join(tmpdir(), 'backfill-')
+      );
+      try {
+        for (const dir of [
+          '-home-ed-acme-api',
+          '-home-ed-widgets',
+        ]) {
+          mkdirSync(join(root, dir));
+          writeFileSync(
+            join(root, dir, 's.jsonl'), ''
+          );
+          writeFileSync(
+            join(root, dir, 'subagent-1.jsonl'),
+            ''
+          );
+        }
+        const names = (files) => files
+          .map((f) => f.slice(root.length))
+          .sort();
+        assert.deepEqual(
+          names(findTranscripts(root)),
+          [
+            '/-home-ed-acme-api/s.jsonl',
+            '/-home-ed-widgets/s.jsonl',
+          ]
+        );
+        assert.deepEqual(
+          names(findTranscripts(root, 'ACME')),
+          ['/-home-ed-acme-api/s.jsonl']
+        );
+        // One project folder as the root
+        assert.deepEqual(
+          findTranscripts(
+            join(root, '-home-ed-widgets')
+          ).length,
+          1
+        );
+        assert.deepEqual(
+          findTranscripts(join(root, 'nope')),
+          []
+        );
+      } finally {
+        rmSync(root, {
+          recursive: true,
+        });
+      }
+    });
+  });
+
+  describe('incremental state', () => {
+    function withFile(content, fn) {
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'backfill-')
+      );
+      try {
+        const file =
+          join(tmpDir, 'test.jsonl');
+        writeFileSync(file, content);
+        fn(file);
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+        });
+      }
+    }
+
+    it('records the offset of complete ' +
+      'lines', async () => {
+      const lines = makeTranscriptRecords()
+        .map((r) => JSON.stringify(r))
+        .join('\n') + '\n';
+      const tmpDir = mkdtempSync(
+        join(tmpdir(), 'backfill-')
+      );
+      try {
+        const file =
+          join(tmpDir, 'test.jsonl');
+        writeFileSync(
+          file, lines + '{"type":"us'
+        );
+        const info = {};
+        await processTranscript(
+          file, DEFAULT_CONFIG, info
+        );
+        assert.equal(
+          info.offset,
+          Buffer.byteLength(lines)
+        );
+      } finally {
+        rmSync(tmpDir, {
+          recursive: true,
+        });
+      }
+    });
+
+    it('detects changed transcripts', () => {
+      withFile('{"a":1}\n{"b"', (file) => {
+        const prev = {
+          size: 8, mtimeMs: 1, offset: 8,
+        };
+        const st = (size, mtimeMs = 1) =>
+          ({ size, mtimeMs });
+        assert.equal(
+          transcriptChanged(file, st(8), prev),
+          false
+        );
+        assert.equal(
+          transcriptChanged(
+            file, st(8, 2), prev
+          ),
+          true
+        );
+        // Only a partial record appended
+        assert.equal(
+          transcriptChanged(
+            file, st(12, 2), prev
+          ),
+          false
+        );
+        assert.equal(
+          transcriptChanged(file, st(4), prev),
+          true
+        );
+        assert.equal(
+          transcriptChanged(file, st(8)),
+          true
+        );
+      });
+    });
+
+    it('detects a completed record', () => {
+      withFile('{"a":1}\n{"b":2}\n', (file) => {
+        assert.equal(
+          transcriptChanged(
+            file,
+            { size: 16, mtimeMs: 2 },
+            { size: 8, mtimeMs: 1, offset: 8 }
+          ),
+          true
+        );
+      });
+    });
+
+    it('detects records past the offset ' +
+       'at the recorded size', () => {
+      // Grew between reading and stat
+      withFile('{"a":1}\n{"b":2}\n', (file) => {
+        const prev = {
+          size: 16, mtimeMs: 2, offset: 8,
+        };
+        assert.equal(
+          transcriptChanged(
+            file,
+            { size: 16, mtimeMs: 2 },
+            prev
+          ),
+          true
+        );
+      });
+    });
+
+    it('replaces dropped entries', () => {
+      const raw = [
+        { ts: 'b', session: 'live' },
+        {
+          ts: 'c',
+          session: 's1',
+          source: 'backfill',
+        },
+        {
+          ts: 'd',
+          session: 's2',
+          source: 'backfill',
+        },
+      ].map((e) => JSON.stringify(e))
+        .join('\n') + '\nnot json\n';
+      const merged = mergeDay(
+        parseDay(raw),
+        [{ ts: 'a', session: 's1' }],
+        (e) =>
+          e.source === 'backfill' &&
+          e.session === 's1'
+      );
+      assert.deepEqual(
+        merged.map((e) => e.ts),
+        ['a', 'b', 'd']
+      );
+    });
+
+    it('keys only backfill settings', () => {
+      assert.equal(
+        configKey(DEFAULT_CONFIG),
+        configKey({
+          ...DEFAULT_CONFIG,
+          defaultReport: ['--month'],
+        })
+      );
+      assert.notEqual(
+        configKey(DEFAULT_CONFIG),
+        configKey({
+          ...DEFAULT_CONFIG,
+          timezone: 'UTC',
+        })
+      );
+    });
+
+    it('starts over on a corrupt state', () => {
+      withFile('{oops', (file) => {
+        assert.deepEqual(readState(file), {
+          config: null,
+          transcripts: {},
+        });
+      });
+    });
+  });
+
+  describe('reconcile', () => {
+    const at = (m, s = 0) =>
+      `2026-02-10T09:${m}:${s}0.000Z`;
+    const bf = [
+      { ts: at('00'), event: 'SessionStart',
+        session: 's1', source: 'backfill' },
+      { ts: at('00'),
+        event: 'UserPromptSubmit',
+        session: 's1', prompt: 'Fix it',
+        source: 'backfill' },
+      { ts: at('05'),
+        event: 'UserPromptSubmit',
+        session: 's1', prompt: 'Missed',
+        source: 'backfill' },
+      { ts: at('00'),
+        event: 'UserPromptSubmit',
+        session: 's2', prompt: 'Other',
+        source: 'backfill' },
+    ];
+    const live = [
+      { ts: at('00', 1), event: 'SessionStart',
+        session: 's1', source: 'startup' },
+      { ts: at('00', 2),
+        event: 'UserPromptSubmit',
+        session: 's1', prompt: 'Fix it ' },
+      { ts: at('00', 3), event: 'PreToolUse',
+        session: 's1', tool: 'Edit' },
+      // Same text, too far apart
+      { ts: at('09'),
+        event: 'UserPromptSubmit',
+        session: 's1', prompt: 'Missed' },
+    ];
+
+    it('keeps live entries by default', () => {
+      const r = reconcile(
+        bf, live, 'live', 'UTC'
+      );
+      assert.deepEqual(
+        [...r.dropBackfill],
+        [bf[0], bf[1]]
+      );
+      assert.equal(r.dropLive.size, 0);
+      assert.deepEqual(
+        formatReconciled(r.sessions, 'live'),
+        [
+          'Deduplicated 1 sessions already ' +
+            'logged live (kept live):',
+          '  s1  2026-02-10  1 prompts, ' +
+            '1 session events',
+        ]
+      );
+    });
+
+    it('drops live entries when backfill ' +
+      'is preferred', () => {
+      const r = reconcile(
+        bf, live, 'backfill', 'UTC'
+      );
+      assert.equal(r.dropBackfill.size, 0);
+      assert.deepEqual(
+        [...r.dropLive],
+        [live[0], live[1]]
+      );
+    });
+
+    it('ignores backfill-only sessions', () => {
+      const r = reconcile(bf, [], 'live');
+      assert.equal(r.dropBackfill.size, 0);
+      assert.deepEqual(
+        formatReconciled(r.sessions, 'live'),
+        []
+      );
+    });
+  });
+
+  describe('dry run', () => {
+    const opts = {
+      breakMs: 1800 * 1000,
+      timezone: 'UTC',
+    };
+    const entry = (ts, event, extra) => ({
+      ts: `2026-02-10T${ts}:00.000Z`,
+      event,
+      session: 's1',
+      project: 'my-app',
+      source: 'backfill',
+      ...extra,
+    });
+    const before = [
+      entry('09:00', 'SessionStart'),
+      entry('09:00', 'UserPromptSubmit'),
+      entry('09:20', 'SessionEnd'),
+      { ts: '2026-02-10T08:00:00.000Z',
+        event: 'SessionStart',
+        session: 'live' },
+    ];
+
+    it('finds no change in equal days', () => {
+      assert.ok(isEmptyDiff(
+        diffDay(
+          before, [...before].reverse(),
+          '2026-02-10', opts
+        )
+      ));
+    });
+
+    it('counts reassignments and hours',
+      () => {
+        const after = [
+          entry('09:00', 'SessionStart', {
+            project: 'acme',
+          }),
+          entry('09:00', 'UserPromptSubmit', {
+            project: 'acme', ticket: 'AC-1',
+          }),
+          entry('09:20', 'SessionEnd', {
+            project: 'acme', ticket: 'AC-1',
+          }),
+          entry('09:40', 'UserPromptSubmit'),
+          before[3],
+        ];
+        const diff = diffDay(
+          before, after, '2026-02-10', opts
+        );
+        assert.equal(diff.added, 1);
+        assert.equal(diff.removed, 0);
+        assert.equal(diff.changed, 3);
+        assert.deepEqual(
+          [...diff.projects],
+          [['my-app → acme', 3]]
+        );
+        assert.deepEqual(
+          [...diff.tickets],
+          [['(none) → AC-1', 2]]
+        );
+        assert.deepEqual(
+          [...diff.hours],
+          [['my-app', -1200], ['acme', 2400]]
+        );
+        assert.deepEqual(
+          formatDayDiff(
+            '2026-02-10', diff
+          ),
+          [
+            '2026-02-10  +1 added, ' +
+              '-0 removed, ~3 changed',
+            '  project my-app → acme (3)',
+            '  ticket  (none) → AC-1 (2)',
+            '  hours   acme +0.67h, ' +
+              'my-app -0.33h',
+          ]
+        );
+      });
+
+    it('lists changed lines with --diff',
+      () => {
+        const diff = diffDay(
+          before, before.slice(1),
+          '2026-02-10', opts
+        );
+        assert.equal(diff.removed, 1);
+        const lines = formatDayDiff(
+          '2026-02-10', diff, { lines: true }
+        );
+        assert.match(
+          lines.at(-1),
+          /^ {2}- \{"ts":"2026-02-10T09:00.*"SessionStart"/
+        );
+      });
   });
 
   describe('stripNulls', () => {
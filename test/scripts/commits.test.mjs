@@ -0,0 +1,159 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  activeWindows,
+  assignCommits,
+  groupCommits,
+  commitsJson,
+  csvCommits,
+} from '../../scripts/commits.mjs';
+import {
+  buildSlices,
+} from '../../scripts/report.mjs';
+import {
+  T0, T1, T2,
+  makeEntry,
+} from '../helpers/fixtures.mjs';
+
+const BREAK_MS = 1800 * 1000;
+const MIN = 60 * 1000;
+const at = (iso) => Date.parse(iso);
+
+describe('commits', () => {
+  const entries = [
+    makeEntry({
+      ts: T0, ticket: 'BAN-1', cwd: '/r',
+    }),
+    makeEntry({
+      ts: T1, ticket: 'BAN-2', cwd: '/r',
+    }),
+    makeEntry({
+      ts: T2,
+      event: 'SessionEnd',
+      ticket: 'BAN-2',
+      cwd: '/r',
+    }),
+  ];
+  const slices = buildSlices(
+    entries, BREAK_MS, { timezone: 'UTC' }
+  );
+
+  describe('activeWindows', () => {
+    it('merges slices per ticket', () => {
+      assert.deepEqual(
+        activeWindows(slices).map((w) => [
+          w.ticket, w.start, w.end,
+        ]),
+        [
+          ['BAN-1', at(T0), at(T1)],
+          ['BAN-2', at(T1), at(T2)],
+        ]
+      );
+    });
+
+    it('merges contiguous pieces', () => {
+      const w = activeWindows([
+        {
+          cwd: '/r', project: 'a',
+          start: 0, end: MIN, seconds: 60,
+        },
+        {
+          cwd: '/r', project: 'a',
+          start: MIN, end: 2 * MIN,
+          seconds: 60,
+        },
+        {
+          cwd: null, project: 'a',
+          start: 0, end: MIN, seconds: 60,
+        },
+      ]);
+      assert.deepEqual(
+        w.map((x) => [x.start, x.end]),
+        [[0, 2 * MIN]]
+      );
+    });
+  });
+
+  describe('assignCommits', () => {
+    const windows = activeWindows(slices);
+
+    it('cites commits inside windows', () => {
+      const assigned = assignCommits(
+        windows,
+        [
+          {
+            sha: 'a',
+            time: at(T0) + MIN,
+            subject: 'one',
+          },
+          {
+            sha: 'b',
+            time: at(T2) + MIN,
+            subject: 'late',
+          },
+        ]
+      );
+      assert.deepEqual(
+        assigned.map((c) => [c.sha, c.ticket]),
+        [['a', 'BAN-1']]
+      );
+    });
+
+    it('prefers the latest window', () => {
+      const assigned = assignCommits(
+        windows,
+        [{ sha: 'c', time: at(T1) }]
+      );
+      assert.equal(
+        assigned[0].ticket, 'BAN-2'
+      );
+    });
+  });
+
+  describe('output', () => {
+    const projects = groupCommits([
+      {
+        sha: 'b1', time: at(T1),
+        subject: 'Two', project: 'my-app',
+        ticket: null,
+      },
+      {
+        sha: 'a1', time: at(T0),
+        subject: 'One, first',
+        project: 'my-app', ticket: 'BAN-1',
+      },
+    ]);
+
+    it('groups by project and ticket', () => {
+      assert.deepEqual(
+        commitsJson(projects),
+        {
+          'my-app': {
+            'BAN-1': [{
+              sha: 'a1',
+              ts: T0,
+              subject: 'One, first',
+            }],
+            '(untracked)': [{
+              sha: 'b1',
+              ts: T1,
+              subject: 'Two',
+            }],
+          },
+        }
+      );
+    });
+
+    it('writes CSV', () => {
+      assert.equal(
+        csvCommits(projects, 'UTC'),
+        'Project,Ticket,Date,Commit,' +
+          'Subject\n' +
+          'my-app,BAN-1,2026-02-10,a1,' +
+          '"One, first"\n' +
+          'my-app,(untracked),2026-02-10,' +
+          'b1,Two\n'
+      );
+    });
+  });
+});
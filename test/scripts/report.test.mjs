@@ -2,20 +2,64 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   startOfWeek,
+  resolvePeriod,
+  periodLabel,
+  periodKeys,
   dateKey,
   buildSlices,
+  mergeOverlaps,
   filterSlices,
+  roundSeconds,
+  applyRounding,
   aggregate,
+  sumSlices,
+  priceFor,
+  applyPrices,
+  fmtTokens,
   fmtDur,
   fmtDate,
   trunc,
   buildDayProjectTicket,
   buildTimesheet,
+  buildPivot,
+  pivotJson,
+  buildGrid,
+  gridJson,
+  roundHours,
+  rateFor,
+  buildInvoice,
+  fmtMoney,
+  csvInvoice,
+  mdInvoice,
+  fmtHours,
+  csvEscape,
+  toCsv,
+  csvDayProject,
+  csvTimesheet,
+  csvGroup,
+  csvGrid,
+  mdEscape,
+  mdDayProject,
+  mdTimesheet,
+  mdGroup,
+  mdGrid,
+  mdClientTotals,
+  htmlEscape,
+  htmlTimesheet,
+  htmlGroup,
+  htmlPage,
+  applyAliases,
+  applyClients,
+  hasClients,
+  buildClientTimesheet,
+  csvClientTimesheet,
+  buildFolded,
+  foldedJson,
 } from '../../scripts/report.mjs';
 import {
   SESSION_A,
   SESSION_B,
-  T0, T1, T3,
+  T0, T1, T2, T3,
   makeEntry,
   makeSessionEntries,
   makeConcurrentEntries,
@@ -25,42 +69,164 @@ const BREAK_MS = 1800000; // 30min
 
 describe('startOfWeek', () => {
   it('returns same Monday for Monday', () => {
-    const mon = new Date(2026, 1, 9, 14, 30);
-    const result = startOfWeek(mon);
-    const expected = new Date(2026, 1, 9, 0, 0);
     assert.equal(
-      result.getTime(), expected.getTime()
+      startOfWeek('2026-02-09'), '2026-02-09'
     );
-    assert.equal(result.getHours(), 0);
-    assert.equal(result.getMinutes(), 0);
   });
 
   it('returns previous Monday for Wed', () => {
-    const wed = new Date(2026, 1, 11, 14, 30);
-    const result = startOfWeek(wed);
-    const expected = new Date(2026, 1, 9, 0, 0);
     assert.equal(
-      result.getTime(), expected.getTime()
+      startOfWeek('2026-02-11'), '2026-02-09'
     );
   });
 
   it('returns prev Monday for Sunday', () => {
-    const sun = new Date(2026, 1, 15, 14, 30);
-    const result = startOfWeek(sun);
-    const expected = new Date(2026, 1, 9, 0, 0);
     assert.equal(
-      result.getTime(), expected.getTime()
+      startOfWeek('2026-02-15'), '2026-02-09'
     );
   });
 
-  it('preserves time at 00:00:00', () => {
-    const date = new Date(2026, 1, 12, 23, 59);
-    const result = startOfWeek(date);
-    assert.equal(result.getHours(), 0);
-    assert.equal(result.getMinutes(), 0);
-    assert.equal(result.getSeconds(), 0);
+  it('honours weekStart', () => {
+    // Wed 11 Feb: Sunday and Saturday weeks
     assert.equal(
-      result.getMilliseconds(), 0
+      startOfWeek('2026-02-11', 0),
+      '2026-02-08'
+    );
+    assert.equal(
+      startOfWeek('2026-02-11', 6),
+      '2026-02-07'
+    );
+    assert.equal(
+      startOfWeek('2026-02-07', 6),
+      '2026-02-07'
+    );
+  });
+
+  it('crosses month and year ' +
+     'boundaries', () => {
+    assert.equal(
+      startOfWeek('2026-03-01'), '2026-02-23'
+    );
+    assert.equal(
+      startOfWeek('2026-01-02'), '2025-12-29'
+    );
+  });
+});
+
+describe('resolvePeriod', () => {
+  // Wednesday 11 Feb 2026
+  const today = '2026-02-11';
+  const span = (name, since) => {
+    const p = resolvePeriod(
+      name, today, { since }
+    );
+    return [p.start, p.end];
+  };
+
+  it('resolves single days', () => {
+    assert.deepEqual(
+      span('today'),
+      ['2026-02-11', '2026-02-11']
+    );
+    assert.deepEqual(
+      span('yesterday'),
+      ['2026-02-10', '2026-02-10']
+    );
+  });
+
+  it('runs current periods to today', () => {
+    assert.deepEqual(
+      span('week'),
+      ['2026-02-09', '2026-02-11']
+    );
+    assert.deepEqual(
+      span('month'),
+      ['2026-02-01', '2026-02-11']
+    );
+    assert.deepEqual(
+      span('quarter'),
+      ['2026-01-01', '2026-02-11']
+    );
+    assert.deepEqual(
+      span('year'),
+      ['2026-01-01', '2026-02-11']
+    );
+  });
+
+  it('returns complete previous ' +
+     'periods', () => {
+    assert.deepEqual(
+      span('last-week'),
+      ['2026-02-02', '2026-02-08']
+    );
+    assert.deepEqual(
+      span('last-month'),
+      ['2026-01-01', '2026-01-31']
+    );
+    assert.deepEqual(
+      span('last-quarter'),
+      ['2025-10-01', '2025-12-31']
+    );
+  });
+
+  it('resolves --since spans', () => {
+    assert.deepEqual(
+      span('since', '10d'),
+      ['2026-02-01', '2026-02-11']
+    );
+    assert.deepEqual(
+      span('since', '2w'),
+      ['2026-01-28', '2026-02-11']
+    );
+    assert.deepEqual(
+      span('since', '3m'),
+      ['2025-11-11', '2026-02-11']
+    );
+  });
+
+  it('applies weekStart to weeks', () => {
+    const p = resolvePeriod(
+      'last-week', today, { weekStart: 0 }
+    );
+    assert.deepEqual(
+      [p.start, p.end],
+      ['2026-02-01', '2026-02-07']
+    );
+  });
+
+  it('returns null for bad input', () => {
+    assert.equal(
+      resolvePeriod(
+        'since', today, { since: '10x' }
+      ),
+      null
+    );
+    assert.equal(
+      resolvePeriod('fortnight', today),
+      null
+    );
+  });
+
+  it('labels the resolved range', () => {
+    assert.equal(
+      periodLabel(
+        resolvePeriod('last-week', today)
+      ),
+      'last week, 2026-02-02 to 2026-02-08'
+    );
+    assert.equal(
+      periodLabel(
+        resolvePeriod('today', today)
+      ),
+      'today, 2026-02-11'
+    );
+    assert.equal(
+      periodLabel({
+        start: '2026-02-01',
+        end: '2026-02-14',
+        label: null,
+      }),
+      '2026-02-01 to 2026-02-14'
     );
   });
 });
@@ -76,6 +242,19 @@ describe('dateKey', () => {
     const d = new Date(T0);
     assert.equal(dateKey(d), '2026-02-10');
   });
+
+  it('uses the given timezone', () => {
+    const d =
+      new Date('2026-02-10T23:30:00Z');
+    assert.equal(
+      dateKey(d, 'America/New_York'),
+      '2026-02-10'
+    );
+    assert.equal(
+      dateKey(d, 'Asia/Tokyo'),
+      '2026-02-11'
+    );
+  });
 });
 
 describe('buildSlices', () => {
@@ -281,6 +460,448 @@ describe('buildSlices', () => {
       assert.equal(slices.length, 0);
     });
   });
+
+  describe('WHEN model is only on ' +
+    'some events', () => {
+    it('carries it forward and ' +
+       'follows switches', () => {
+      const entries = [
+        makeEntry({
+          ts: T0,
+          event: 'SessionStart',
+          model: 'claude-opus-4-6',
+        }),
+        makeEntry({
+          ts: T1,
+          event: 'UserPromptSubmit',
+          model: undefined,
+        }),
+        makeEntry({
+          ts: T2,
+          event: 'UserPromptSubmit',
+          model: 'claude-sonnet-4-6',
+        }),
+        makeEntry({
+          ts: '2026-02-10T09:10:00.000Z',
+          event: 'SessionEnd',
+          model: undefined,
+        }),
+      ];
+      const slices =
+        buildSlices(entries, BREAK_MS);
+      assert.deepEqual(
+        slices.map((s) => s.model),
+        [
+          'claude-opus-4-6',
+          'claude-opus-4-6',
+          'claude-sonnet-4-6',
+        ]
+      );
+      assert.equal(
+        entries[1].model, undefined
+      );
+    });
+  });
+
+  describe('WITH tool activity', () => {
+    const entries = [
+      makeEntry({
+        ts: T0,
+        event: 'UserPromptSubmit',
+        ticket: 'BAN-123',
+      }),
+      makeEntry({
+        ts: T1,
+        event: 'PreToolUse',
+        tool: 'Bash',
+      }),
+      makeEntry({
+        ts: T2,
+        event: 'PostToolUse',
+        tool: 'Bash',
+      }),
+      makeEntry({
+        ts: '2026-02-10T09:10:00.000Z',
+        event: 'Stop',
+      }),
+    ];
+
+    it('attributes tool time to the tool',
+      () => {
+        const slices =
+          buildSlices(entries, BREAK_MS);
+        assert.deepEqual(
+          slices.map((s) => [
+            s.tool, s.seconds,
+          ]),
+          [
+            [null, 300],
+            ['Bash', 180],
+            [null, 120],
+          ]
+        );
+      });
+
+    it('keeps the prompt ticket', () => {
+      const slices =
+        buildSlices(entries, BREAK_MS);
+      assert.deepEqual(
+        slices.map((s) => s.ticket),
+        ['BAN-123', 'BAN-123', 'BAN-123']
+      );
+    });
+  });
+
+  describe('WITH Stop events', () => {
+    it('splits agent and review time', () => {
+      const entries = [
+        makeEntry({
+          ts: T0,
+          event: 'SessionStart',
+        }),
+        makeEntry({
+          ts: T1,
+          event: 'UserPromptSubmit',
+        }),
+        makeEntry({
+          ts: T2,
+          event: 'Stop',
+        }),
+        makeEntry({
+          ts: '2026-02-10T09:20:00.000Z',
+          event: 'UserPromptSubmit',
+        }),
+      ];
+      const slices =
+        buildSlices(entries, BREAK_MS);
+      assert.deepEqual(
+        slices.map((s) => [
+          s.phase, s.seconds,
+        ]),
+        [
+          ['review', 300],
+          ['agent', 180],
+          ['review', 720],
+          [undefined, 0],
+        ]
+      );
+      const tot = sumSlices(slices);
+      assert.equal(tot.agent, 180);
+      assert.equal(tot.review, 1020);
+    });
+
+    it('leaves sessions without Stop ' +
+       'unphased', () => {
+      const slices = buildSlices(
+        makeSessionEntries(), BREAK_MS
+      );
+      assert.ok(
+        slices.every((s) => !s.phase)
+      );
+      assert.ok(
+        !('agent' in sumSlices(slices))
+      );
+    });
+  });
+
+  describe('WITH token usage', () => {
+    const tokens = (output) => ({
+      input: 0, output,
+      cacheRead: 0, cacheWrite: 0,
+    });
+
+    it('adds tokens to the slice of ' +
+       'the turn they close', () => {
+      const entries = [
+        makeEntry({
+          ts: T0,
+          event: 'UserPromptSubmit',
+          project: 'first',
+        }),
+        makeEntry({
+          ts: T1,
+          event: 'UserPromptSubmit',
+          project: 'second',
+          turn: 'p1',
+          tokens: tokens(100),
+        }),
+        makeEntry({
+          ts: T2,
+          event: 'SessionEnd',
+          turn: 'p2',
+          tokens: tokens(40),
+        }),
+        // A repeated SessionEnd re-reports
+        // the same turn
+        makeEntry({
+          ts: T2,
+          event: 'SessionEnd',
+          turn: 'p2',
+          tokens: tokens(40),
+        }),
+      ];
+      const slices =
+        buildSlices(entries, BREAK_MS);
+      assert.deepEqual(
+        slices.map((s) => [
+          s.project, s.tokens?.output,
+        ]),
+        [['first', 100], ['second', 40]]
+      );
+    });
+
+    it('uses a zero slice after a break',
+      () => {
+        const entries = [
+          makeEntry({
+            ts: T0,
+            event: 'SessionStart',
+          }),
+          makeEntry({
+            ts: T3,
+            event: 'SessionEnd',
+            turn: 'p1',
+            tokens: tokens(10),
+          }),
+        ];
+        const slices =
+          buildSlices(entries, BREAK_MS);
+        assert.equal(slices.length, 1);
+        assert.equal(slices[0].seconds, 0);
+        assert.equal(
+          slices[0].isPrompt, false
+        );
+        assert.equal(
+          slices[0].tokens.output, 10
+        );
+      });
+  });
+
+  describe('WHEN gap crosses midnight', () => {
+    const entries = [
+      makeEntry({
+        ts: '2026-02-10T23:50:00.000Z',
+        event: 'UserPromptSubmit',
+      }),
+      makeEntry({
+        ts: '2026-02-11T00:15:00.000Z',
+        event: 'SessionEnd',
+      }),
+    ];
+
+    it('splits across both days', () => {
+      const slices = buildSlices(
+        entries, BREAK_MS,
+        { timezone: 'UTC' }
+      );
+      assert.deepEqual(
+        slices.map((s) => [
+          s.date, s.seconds, s.isPrompt,
+        ]),
+        [
+          ['2026-02-10', 600, true],
+          ['2026-02-11', 900, false],
+        ]
+      );
+    });
+
+    it('uses the configured zone', () => {
+      // 08:50-09:15 in Tokyo: no split
+      const slices = buildSlices(
+        entries, BREAK_MS,
+        { timezone: 'Asia/Tokyo' }
+      );
+      assert.equal(slices.length, 1);
+      assert.equal(
+        slices[0].date, '2026-02-11'
+      );
+      assert.equal(slices[0].seconds, 1500);
+    });
+  });
+
+  describe('WITH timezone option', () => {
+    it('dates slices in that zone', () => {
+      const entries = [
+        makeEntry({
+          ts: '2026-02-10T23:30:00.000Z',
+          event: 'UserPromptSubmit',
+        }),
+        makeEntry({
+          ts: '2026-02-10T23:40:00.000Z',
+          event: 'SessionEnd',
+        }),
+      ];
+      const utc = buildSlices(
+        entries, BREAK_MS,
+        { timezone: 'UTC' }
+      );
+      const tokyo = buildSlices(
+        entries, BREAK_MS,
+        { timezone: 'Asia/Tokyo' }
+      );
+      assert.equal(
+        utc[0].date, '2026-02-10'
+      );
+      assert.equal(
+        tokyo[0].date, '2026-02-11'
+      );
+    });
+  });
+});
+
+describe('project aliases', () => {
+  const config = {
+    projectAliases: {
+      acme_api: 'acme-api',
+      '/^acme-api-wt\\d$/': 'acme-api',
+    },
+  };
+  const entries = [
+    makeEntry({
+      ts: T0, project: 'acme_api',
+    }),
+    makeEntry({
+      ts: T1, project: 'acme-api-wt2',
+    }),
+    // Aliased at log time by an older
+    // config, now unaliased again
+    makeEntry({
+      ts: T2,
+      project: 'acme-api',
+      rawProject: 'acme-old',
+    }),
+    makeEntry({
+      ts: '2026-02-10T09:10:00.000Z',
+      event: 'SessionEnd',
+      project: 'acme-api',
+    }),
+  ];
+
+  it('folds names at report time', () => {
+    assert.deepEqual(
+      applyAliases(entries, config).map(
+        (e) => [e.project, e.rawProject]
+      ),
+      [
+        ['acme-api', 'acme_api'],
+        ['acme-api', 'acme-api-wt2'],
+        ['acme-old', undefined],
+        ['acme-api', undefined],
+      ]
+    );
+  });
+
+  it('lists folded raw names', () => {
+    const slices = buildSlices(
+      applyAliases(entries, config),
+      BREAK_MS
+    );
+    assert.deepEqual(
+      foldedJson(buildFolded(slices)),
+      {
+        'acme-api': {
+          acme_api: 300,
+          'acme-api-wt2': 180,
+        },
+      }
+    );
+  });
+});
+
+describe('clients', () => {
+  const config = {
+    clients: { Acme: ['/^acme-/'] },
+  };
+  const entries = [
+    makeEntry({
+      ts: T0, project: 'acme-api',
+    }),
+    makeEntry({
+      ts: T1,
+      project: 'my-app',
+      client: 'Logged',
+    }),
+    makeEntry({
+      ts: T2,
+      project: 'acme-web',
+      client: 'Old',
+    }),
+    makeEntry({
+      ts: '2026-02-10T09:10:00.000Z',
+      event: 'SessionEnd',
+      project: 'other',
+    }),
+  ];
+
+  it('maps projects at report time', () => {
+    assert.deepEqual(
+      applyClients(entries, config).map(
+        (e) => e.client
+      ),
+      ['Acme', 'Logged', 'Acme', undefined]
+    );
+  });
+
+  it('subtotals the timesheet per client',
+    () => {
+      const slices = buildSlices(
+        applyClients(entries, config),
+        BREAK_MS
+      );
+      assert.ok(hasClients(slices));
+      const clients =
+        buildClientTimesheet(slices);
+      assert.deepEqual(
+        [...clients].map(
+          ([c, cg]) => [c, cg.active]
+        ),
+        [['Acme', 420], ['Logged', 180]]
+      );
+      const csv = csvClientTimesheet(clients);
+      assert.deepEqual(
+        csv.trim().split('\n'),
+        [
+          'Client,Project,Ticket,Active,' +
+            'Hours,Sessions,Prompts',
+          'Acme,acme-api,(untracked),' +
+            '5m,0.08,1,1',
+          'Acme,acme-web,(untracked),' +
+            '2m,0.03,1,1',
+          'Logged,my-app,(untracked),' +
+            '3m,0.05,1,1',
+        ]
+      );
+    });
+
+  it('totals all clients', () => {
+    const clients = buildClientTimesheet(
+      buildSlices(
+        applyClients(entries, config),
+        BREAK_MS
+      )
+    );
+    const md = mdClientTotals(clients);
+    assert.match(
+      md, /\| Acme \| 7m \| 1 \| 2 \|/
+    );
+    assert.match(
+      md,
+      /\| \*\*Total\*\* \| \*\*10m\*\* \| \*\*1\*\* \| \*\*3\*\* \|/
+    );
+  });
+
+  it('filters by client', () => {
+    const slices = buildSlices(
+      applyClients(entries, config),
+      BREAK_MS
+    );
+    assert.deepEqual(
+      filterSlices(slices, {
+        client: 'acme',
+      }).map((s) => s.project),
+      ['acme-api', 'acme-web']
+    );
+  });
 });
 
 describe('filterSlices', () => {
@@ -341,6 +962,22 @@ describe('filterSlices', () => {
     );
     assert.equal(result.length, 0);
   });
+
+  it('filters by inclusive date ' +
+     'range', () => {
+    const dated = [
+      { date: '2026-02-09', seconds: 1 },
+      { date: '2026-02-10', seconds: 2 },
+      { date: '2026-02-11', seconds: 3 },
+    ];
+    const result = filterSlices(dated, {
+      from: '2026-02-10',
+      to: '2026-02-11',
+    });
+    assert.deepEqual(
+      result.map((s) => s.seconds), [2, 3]
+    );
+  });
 });
 
 describe('aggregate', () => {
@@ -440,6 +1077,10 @@ describe('fmtDur', () => {
   it('rounds 59 seconds down to 0m', () => {
     assert.equal(fmtDur(59), '0m');
   });
+
+  it('ignores float noise', () => {
+    assert.equal(fmtDur(899.9999999), '15m');
+  });
 });
 
 describe('fmtDate', () => {
@@ -648,3 +1289,1152 @@ describe('buildTimesheet', () => {
     assert.ok(result.has('(unknown)'));
   });
 });
+
+describe('fmtHours', () => {
+  it('formats decimal hours to 2dp', () => {
+    assert.equal(fmtHours(5400), '1.50');
+  });
+
+  it('formats 0 seconds', () => {
+    assert.equal(fmtHours(0), '0.00');
+  });
+});
+
+describe('csvEscape', () => {
+  it('leaves plain values unquoted', () => {
+    assert.equal(
+      csvEscape('my-app'), 'my-app'
+    );
+    assert.equal(csvEscape(42), '42');
+  });
+
+  it('quotes values with commas', () => {
+    assert.equal(
+      csvEscape('a,b'), '"a,b"'
+    );
+  });
+
+  it('doubles embedded quotes', () => {
+    assert.equal(
+      csvEscape('say "hi"'),
+      '"say ""hi"""'
+    );
+  });
+
+  it('quotes values with newlines', () => {
+    assert.equal(
+      csvEscape('a\nb'), '"a\nb"'
+    );
+  });
+
+  it('renders null as empty', () => {
+    assert.equal(csvEscape(null), '');
+  });
+});
+
+describe('toCsv', () => {
+  it('joins rows with trailing newline',
+     () => {
+    assert.equal(
+      toCsv([['a', 'b'], [1, 'x,y']]),
+      'a,b\n1,"x,y"\n'
+    );
+  });
+});
+
+describe('csvDayProject', () => {
+  const slices = [
+    {
+      session: SESSION_A,
+      date: '2026-02-10',
+      project: 'my-app',
+      ticket: 'BAN-123',
+      seconds: 1800,
+      isPrompt: true,
+    },
+    {
+      session: SESSION_A,
+      date: '2026-02-10',
+      project: 'my-app',
+      ticket: null,
+      seconds: 900,
+      isPrompt: true,
+    },
+  ];
+
+  it('emits one row per ticket plus ' +
+     'untracked remainder', () => {
+    const csv = csvDayProject(
+      buildDayProjectTicket(slices)
+    );
+    assert.deepEqual(
+      csv.trim().split('\n'),
+      [
+        'Date,Project,Ticket,Active,' +
+        'Hours,Prompts',
+        '2026-02-10,my-app,BAN-123,' +
+        '30m,0.50,1',
+        '2026-02-10,my-app,,15m,0.25,1',
+      ]
+    );
+  });
+
+  it('omits remainder when fully ' +
+     'ticketed', () => {
+    const csv = csvDayProject(
+      buildDayProjectTicket(
+        slices.slice(0, 1)
+      )
+    );
+    assert.equal(
+      csv.trim().split('\n').length, 2
+    );
+  });
+});
+
+describe('csvTimesheet', () => {
+  it('emits project/ticket rows sorted ' +
+     'by active time', () => {
+    const slices = [
+      {
+        session: SESSION_A,
+        project: 'my-app',
+        ticket: 'BAN-123',
+        seconds: 300,
+        isPrompt: true,
+      },
+      {
+        session: SESSION_B,
+        project: 'my-app',
+        ticket: null,
+        seconds: 3600,
+        isPrompt: false,
+      },
+    ];
+    const csv = csvTimesheet(
+      buildTimesheet(slices)
+    );
+    assert.deepEqual(
+      csv.trim().split('\n'),
+      [
+        'Project,Ticket,Active,Hours,' +
+        'Sessions,Prompts',
+        'my-app,(untracked),1h 00m,' +
+        '1.00,1,0',
+        'my-app,BAN-123,5m,0.08,1,1',
+      ]
+    );
+  });
+});
+
+describe('csvGroup', () => {
+  it('uses label as first header', () => {
+    const groups = new Map([
+      ['claude-opus-4-6', {
+        sessions: 2,
+        prompts: 5,
+        active: 7200,
+      }],
+    ]);
+    assert.equal(
+      csvGroup('Model', groups),
+      'Model,Active,Hours,Sessions,' +
+      'Prompts\n' +
+      'claude-opus-4-6,2h 00m,2.00,2,5\n'
+    );
+  });
+
+  it('adds agent and review hours ' +
+     'WITH phases', () => {
+    const groups = new Map([
+      ['my-app', {
+        sessions: 1,
+        prompts: 1,
+        active: 5400,
+        agent: 3600,
+        review: 1800,
+      }],
+    ]);
+    assert.equal(
+      csvGroup(
+        'Project', groups, { phases: true }
+      ),
+      'Project,Active,Hours,Sessions,' +
+      'Prompts,Agent Hours,Review Hours\n' +
+      'my-app,1h 30m,1.50,1,1,1.00,0.50\n'
+    );
+  });
+
+  it('orders by key WITH byKey', () => {
+    const g = (active) => ({
+      sessions: 1, prompts: 1, active,
+    });
+    const groups = new Map([
+      ['2026-02-16', g(3600)],
+      ['2026-02-09', g(60)],
+    ]);
+    const keys = (csv) => csv
+      .trim()
+      .split('\n')
+      .slice(1)
+      .map((l) => l.split(',')[0]);
+    assert.deepEqual(
+      keys(csvGroup('Week', groups)),
+      ['2026-02-16', '2026-02-09']
+    );
+    assert.deepEqual(
+      keys(csvGroup(
+        'Week', groups, { byKey: true }
+      )),
+      ['2026-02-09', '2026-02-16']
+    );
+  });
+});
+
+describe('markdown renderers', () => {
+  const slices = [
+    {
+      session: SESSION_A,
+      date: '2026-02-10',
+      project: 'my-app',
+      ticket: 'BAN-123',
+      seconds: 3600,
+      isPrompt: true,
+    },
+    {
+      session: SESSION_B,
+      date: '2026-02-10',
+      project: 'other|app',
+      ticket: null,
+      seconds: 600,
+      isPrompt: true,
+    },
+  ];
+
+  it('escapes pipes and backslashes', () => {
+    assert.equal(
+      mdEscape('a|b\\c'), 'a\\|b\\\\c'
+    );
+  });
+
+  it('renders timesheet with nested ' +
+     'tickets and totals', () => {
+    const md = mdTimesheet(
+      buildTimesheet(slices)
+    );
+    assert.deepEqual(
+      md.trim().split('\n'),
+      [
+        '| Project / Ticket | Active ' +
+        '| Sess | Prompts |',
+        '| :--- | ---: | ---: | ---: |',
+        '| my-app | 1h 00m | 1 | 1 |',
+        '| ↳ BAN-123 | 1h 00m | 1 | 1 |',
+        '| other\\|app | 10m | 1 | 1 |',
+        '| ↳ (untracked) | 10m | 1 | 1 |',
+        '| **Total** | **1h 10m** ' +
+        '| **2** | **2** |',
+      ]
+    );
+  });
+
+  it('shows each date once in the ' +
+     'default view', () => {
+    const md = mdDayProject(
+      buildDayProjectTicket(slices)
+    );
+    const rows = md.trim().split('\n');
+    assert.equal(
+      rows[2],
+      '| Tue 10 Feb | my-app | 1h 00m | 1 |'
+    );
+    assert.equal(
+      rows[4],
+      '|  | other\\|app | 10m | 1 |'
+    );
+  });
+
+  it('leaves group session total ' +
+     'blank', () => {
+    const md = mdGroup(
+      'Day',
+      aggregate(slices, (s) => s.date)
+    );
+    assert.match(
+      md,
+      /\| \*\*Total\*\* \| \*\*1h 10m\*\* \|  \| \*\*2\*\* \|/
+    );
+  });
+});
+
+describe('html renderers', () => {
+  it('escapes markup', () => {
+    assert.equal(
+      htmlEscape('<a href="x">&</a>'),
+      '&lt;a href=&quot;x&quot;&gt;' +
+      '&amp;&lt;/a&gt;'
+    );
+  });
+
+  it('renders timesheet table with ' +
+     'footer totals', () => {
+    const html = htmlTimesheet(
+      buildTimesheet([
+        {
+          session: SESSION_A,
+          project: '<b>app</b>',
+          ticket: 'BAN-1',
+          seconds: 300,
+          isPrompt: true,
+        },
+      ])
+    );
+    assert.match(
+      html, /<td>&lt;b&gt;app&lt;\/b&gt;<\/td>/
+    );
+    assert.match(
+      html,
+      /<tr class="ticket">\n<td class="indent">BAN-1<\/td>/
+    );
+    assert.match(
+      html,
+      /<tfoot><tr>\n<th>Total<\/th>\n<th class="num">5m<\/th>/
+    );
+  });
+
+  it('wraps sections in a standalone ' +
+     'page', () => {
+    const page = htmlPage(
+      'Report', 'Total: 1 sessions',
+      [[
+        'By model',
+        htmlGroup('Model', new Map([
+          ['opus', {
+            sessions: 1,
+            prompts: 1,
+            active: 60,
+          }],
+        ])),
+      ]]
+    );
+    assert.ok(
+      page.startsWith('<!DOCTYPE html>')
+    );
+    assert.match(page, /<style>/);
+    assert.match(page, /<h2>By model<\/h2>/);
+    assert.ok(
+      page.trimEnd().endsWith('</html>')
+    );
+  });
+});
+
+describe('invoice', () => {
+  const rates = {
+    currency: 'USD',
+    projects: { 'my-app': 100 },
+    tickets: { 'BAN-123': 150 },
+  };
+  const slices = [
+    {
+      session: SESSION_A,
+      project: 'my-app',
+      ticket: 'BAN-123',
+      seconds: 5400,
+      isPrompt: true,
+    },
+    {
+      session: SESSION_A,
+      project: 'my-app',
+      ticket: null,
+      seconds: 1800,
+      isPrompt: true,
+    },
+    {
+      session: SESSION_B,
+      project: 'other-app',
+      ticket: null,
+      seconds: 900,
+      isPrompt: true,
+    },
+  ];
+
+  it('rounds hours to 2dp', () => {
+    assert.equal(roundHours(1000), 0.28);
+    assert.equal(roundHours(0), 0);
+  });
+
+  it('prefers ticket rate over project ' +
+     'rate', () => {
+    assert.equal(
+      rateFor(rates, 'my-app', 'BAN-123'),
+      150
+    );
+    assert.equal(
+      rateFor(rates, 'my-app', 'BAN-9'),
+      100
+    );
+    assert.equal(
+      rateFor(rates, 'nope', null), null
+    );
+    assert.equal(
+      rateFor(undefined, 'my-app', null),
+      null
+    );
+  });
+
+  it('ignores inherited keys', () => {
+    assert.equal(
+      rateFor(rates, 'constructor', null),
+      null
+    );
+    assert.equal(
+      rateFor(rates, 'my-app', 'toString'),
+      100
+    );
+  });
+
+  it('prices lines with subtotals and ' +
+     'grand total', () => {
+    const inv = buildInvoice(
+      buildTimesheet(slices), rates
+    );
+    assert.equal(inv.currency, 'USD');
+    assert.equal(inv.projects.length, 2);
+
+    const [mine, other] = inv.projects;
+    assert.equal(mine.project, 'my-app');
+    assert.deepEqual(
+      mine.lines.map((l) => [
+        l.ticket, l.hours, l.rate, l.amount,
+      ]),
+      [
+        ['BAN-123', 1.5, 150, 225],
+        ['(untracked)', 0.5, 100, 50],
+      ]
+    );
+    assert.equal(mine.hours, 2);
+    assert.equal(mine.amount, 275);
+
+    assert.equal(other.lines[0].rate, null);
+    assert.equal(
+      other.lines[0].amount, null
+    );
+    assert.equal(other.amount, null);
+
+    assert.equal(inv.hours, 2.25);
+    assert.equal(inv.amount, 275);
+  });
+
+  it('leaves amounts blank without any ' +
+     'rate', () => {
+    const inv = buildInvoice(
+      buildTimesheet(slices), null
+    );
+    assert.ok(inv.projects.every(
+      (pg) => pg.amount === null
+    ));
+    assert.equal(inv.amount, null);
+    assert.match(
+      mdInvoice(inv), /\u2014/
+    );
+  });
+
+  it('formats money with currency', () => {
+    assert.equal(
+      fmtMoney(1234.5, 'USD'), '$1,234.50'
+    );
+    assert.equal(
+      fmtMoney(12, null), '12.00'
+    );
+    assert.equal(
+      fmtMoney(null, 'USD'), '\u2014'
+    );
+  });
+
+  it('renders CSV lines', () => {
+    const csv = csvInvoice(buildInvoice(
+      buildTimesheet(slices), rates
+    ));
+    assert.deepEqual(
+      csv.trim().split('\n'),
+      [
+        'Project,Ticket,Hours,Rate,' +
+        'Amount,Currency',
+        'my-app,BAN-123,1.50,150,' +
+        '225.00,USD',
+        'my-app,(untracked),0.50,100,' +
+        '50.00,USD',
+        'other-app,(untracked),0.25,,,USD',
+      ]
+    );
+  });
+
+  it('renders markdown with totals', () => {
+    const md = mdInvoice(buildInvoice(
+      buildTimesheet(slices), rates
+    ));
+    assert.match(
+      md,
+      /\| \*\*Total\*\* \| \*\*2\.25\*\* \|  \| \*\*\$275\.00\*\* \|/
+    );
+  });
+});
+
+describe('roundSeconds', () => {
+  const r = (mode) => ({
+    increment: 15, mode, scope: 'slice',
+  });
+
+  it('rounds up to the increment', () => {
+    assert.equal(
+      roundSeconds(60, r('up')), 900
+    );
+    assert.equal(
+      roundSeconds(900, r('up')), 900
+    );
+  });
+
+  it('rounds to nearest increment', () => {
+    assert.equal(
+      roundSeconds(400, r('nearest')), 0
+    );
+    assert.equal(
+      roundSeconds(500, r('nearest')), 900
+    );
+  });
+
+  it('rounds down to the increment', () => {
+    assert.equal(
+      roundSeconds(1700, r('down')), 900
+    );
+  });
+
+  it('ignores float noise', () => {
+    assert.equal(
+      roundSeconds(
+        900.0000001, r('up')
+      ),
+      900
+    );
+  });
+
+  it('leaves 0 and missing rounding ' +
+     'alone', () => {
+    assert.equal(
+      roundSeconds(0, r('up')), 0
+    );
+    assert.equal(
+      roundSeconds(123, null), 123
+    );
+  });
+});
+
+describe('applyRounding', () => {
+  const slices = [
+    {
+      session: SESSION_A,
+      date: '2026-02-10',
+      project: 'my-app',
+      ticket: 'BAN-1',
+      seconds: 120,
+      isPrompt: true,
+    },
+    {
+      session: SESSION_A,
+      date: '2026-02-10',
+      project: 'my-app',
+      ticket: 'BAN-1',
+      seconds: 240,
+      isPrompt: true,
+    },
+    {
+      session: SESSION_A,
+      date: '2026-02-11',
+      project: 'my-app',
+      ticket: 'BAN-1',
+      seconds: 60,
+      isPrompt: true,
+    },
+  ];
+  const cfg = (scope) => ({
+    increment: 6, mode: 'up', scope,
+  });
+
+  it('returns slices unchanged without ' +
+     'rounding', () => {
+    assert.equal(
+      applyRounding(slices, null), slices
+    );
+  });
+
+  it('rounds each slice for slice ' +
+     'scope', () => {
+    const out = applyRounding(
+      slices, cfg('slice')
+    );
+    assert.deepEqual(
+      out.map((s) => s.billed),
+      [360, 360, 360]
+    );
+    assert.equal(out[0].seconds, 120);
+  });
+
+  it('rounds per day-ticket and ' +
+     'spreads proportionally', () => {
+    const out = applyRounding(
+      slices, cfg('day')
+    );
+    // Day 1: 360s raw → 360s billed
+    // Day 2: 60s raw → 360s billed
+    assert.deepEqual(
+      out.map((s) => s.billed),
+      [120, 240, 360]
+    );
+  });
+
+  it('rounds per report line', () => {
+    const out = applyRounding(
+      slices, cfg('line')
+    );
+    // 420s raw → 720s billed in total
+    const total = out.reduce(
+      (n, s) => n + s.billed, 0
+    );
+    assert.equal(Math.round(total), 720);
+  });
+
+  it('rounds null and missing tickets as ' +
+     'one line', () => {
+    const out = applyRounding(
+      [
+        { project: 'p', ticket: null,
+          seconds: 60 },
+        { project: 'p', seconds: 60 },
+      ],
+      cfg('line')
+    );
+    assert.equal(
+      Math.round(
+        out[0].billed + out[1].billed
+      ),
+      360
+    );
+  });
+
+  it('rounds the rows of another view ' +
+     'by its key', () => {
+    const out = applyRounding(
+      slices, cfg('line'), (s) => s.date
+    );
+    const byDay = aggregate(
+      out, (s) => s.date
+    );
+    // Each day is a whole 6 minutes
+    assert.equal(
+      byDay.get('2026-02-10').billed, 360
+    );
+    assert.equal(
+      byDay.get('2026-02-11').billed, 360
+    );
+  });
+
+  it('feeds billed totals into ' +
+     'aggregates', () => {
+    const out = applyRounding(
+      slices, cfg('day')
+    );
+    const byDay = aggregate(
+      out, (s) => s.date
+    );
+    assert.equal(
+      byDay.get('2026-02-10').billed, 360
+    );
+    assert.equal(
+      byDay.get('2026-02-10').active, 360
+    );
+    assert.equal(
+      byDay.get('2026-02-11').billed, 360
+    );
+    assert.equal(
+      byDay.get('2026-02-11').active, 60
+    );
+    const tot = sumSlices(out);
+    assert.equal(tot.active, 420);
+    assert.equal(tot.billed, 720);
+    assert.equal(tot.sessions, 1);
+    assert.equal(tot.prompts, 3);
+  });
+
+  it('bills rounded hours on invoices',
+     () => {
+    const out = applyRounding(
+      slices, cfg('line')
+    );
+    const inv = buildInvoice(
+      buildTimesheet(out),
+      { projects: { 'my-app': 100 } }
+    );
+    assert.equal(inv.hours, 0.2);
+    assert.equal(
+      inv.seconds, 420
+    );
+    assert.equal(inv.amount, 20);
+  });
+
+  it('adds billed columns to CSV when ' +
+     'requested', () => {
+    const out = applyRounding(
+      slices, cfg('line')
+    );
+    const csv = csvTimesheet(
+      buildTimesheet(out), { billed: true }
+    );
+    assert.deepEqual(
+      csv.trim().split('\n'),
+      [
+        'Project,Ticket,Active,Hours,' +
+        'Billed,Billed Hours,Sessions,' +
+        'Prompts',
+        'my-app,BAN-1,7m,0.12,12m,0.20,1,3',
+      ]
+    );
+  });
+});
+
+describe('mergeOverlaps', () => {
+  const at = (hhmm) =>
+    Date.parse(`2026-02-10T${hhmm}:00Z`);
+  const slice = (session, project, a, b) => ({
+    session,
+    project,
+    ticket: null,
+    date: '2026-02-10',
+    start: a,
+    end: b,
+    seconds: (b - a) / 1000,
+    isPrompt: true,
+  });
+  // a: 14:00-15:00, b: 14:30-15:00
+  const slices = [
+    slice('a', 'alpha', at('14:00'), at('15:00')),
+    slice('b', 'beta', at('14:30'), at('15:00')),
+  ];
+  const secs = (list) =>
+    list.map((s) => s.seconds);
+
+  it('leaves slices alone for sum', () => {
+    assert.equal(
+      mergeOverlaps(slices, 'sum'), slices
+    );
+  });
+
+  it('splits overlap evenly', () => {
+    assert.deepEqual(
+      secs(mergeOverlaps(slices, 'split')),
+      [2700, 900]
+    );
+  });
+
+  it('gives overlap to the earliest ' +
+     'slice for first', () => {
+    assert.deepEqual(
+      secs(mergeOverlaps(slices, 'first')),
+      [3600, 0]
+    );
+  });
+
+  it('never exceeds elapsed time', () => {
+    const three = [
+      ...slices,
+      slice('c', 'gamma', at('14:15'), at('14:45')),
+    ];
+    for (const p of ['first', 'split']) {
+      const total = secs(
+        mergeOverlaps(three, p)
+      ).reduce((a, b) => a + b, 0);
+      assert.equal(Math.round(total), 3600);
+    }
+  });
+
+  it('keeps touching slices whole', () => {
+    const touching = [
+      slice('a', 'alpha', at('14:00'), at('14:30')),
+      slice('b', 'beta', at('14:30'), at('15:00')),
+    ];
+    assert.deepEqual(
+      secs(mergeOverlaps(touching, 'split')),
+      [1800, 1800]
+    );
+  });
+
+  it('passes zero-length slices ' +
+     'through', () => {
+    const zero = {
+      session: 'z',
+      date: '2026-02-10',
+      seconds: 0,
+      isPrompt: true,
+    };
+    const out = mergeOverlaps(
+      [...slices, zero], 'split'
+    );
+    assert.equal(out[2], zero);
+  });
+});
+
+describe('buildPivot', () => {
+  const slices = [
+    {
+      session: SESSION_A,
+      project: 'my-app',
+      ticket: 'BAN-123',
+      date: '2026-02-10',
+      seconds: 600,
+    },
+    {
+      session: SESSION_A,
+      project: 'my-app',
+      ticket: null,
+      date: '2026-02-17',
+      seconds: 300,
+    },
+    {
+      session: SESSION_B,
+      project: 'other-app',
+      ticket: 'R21-456',
+      date: '2026-02-11',
+      seconds: 1200,
+    },
+  ];
+  const weekOf = (s) => startOfWeek(s.date);
+
+  it('sorts columns by key', () => {
+    const pv = buildPivot(slices, weekOf);
+    assert.deepEqual(
+      pv.columns,
+      ['2026-02-09', '2026-02-16']
+    );
+  });
+
+  it('sums project, ticket and column ' +
+     'totals', () => {
+    const pv = buildPivot(slices, weekOf);
+    const app = pv.projects.get('my-app');
+    assert.equal(app.total, 900);
+    assert.equal(
+      app.cells.get('2026-02-09'), 600
+    );
+    assert.equal(
+      app.tickets.get('(untracked)')
+        .cells.get('2026-02-16'),
+      300
+    );
+    assert.equal(
+      pv.totals.cells.get('2026-02-09'),
+      1800
+    );
+    assert.equal(pv.totals.total, 2100);
+  });
+
+  it('sums a value function', () => {
+    const pv = buildPivot(
+      slices, weekOf, () => 900
+    );
+    assert.equal(
+      pv.projects.get('my-app').total, 1800
+    );
+    assert.equal(pv.totals.total, 2700);
+  });
+
+  it('converts to JSON sorted by ' +
+     'total', () => {
+    const json = pivotJson(
+      buildPivot(slices, weekOf)
+    );
+    assert.deepEqual(
+      json.projects.map((p) => p.project),
+      ['other-app', 'my-app']
+    );
+    assert.deepEqual(
+      json.projects[1].tickets[0],
+      {
+        ticket: 'BAN-123',
+        cells: { '2026-02-09': 600 },
+        total: 600,
+      }
+    );
+    assert.deepEqual(json.totals, {
+      '2026-02-09': 1800,
+      '2026-02-16': 300,
+    });
+    assert.equal(json.total, 2100);
+  });
+});
+
+describe('periodKeys', () => {
+  it('lists every day in range', () => {
+    assert.deepEqual(
+      periodKeys(
+        '2026-02-27', '2026-03-02', 'day'
+      ),
+      [
+        '2026-02-27', '2026-02-28',
+        '2026-03-01', '2026-03-02',
+      ]
+    );
+  });
+
+  it('lists week starts', () => {
+    assert.deepEqual(
+      periodKeys(
+        '2026-02-11', '2026-02-23', 'week'
+      ),
+      ['2026-02-09', '2026-02-16',
+        '2026-02-23']
+    );
+    assert.deepEqual(
+      periodKeys(
+        '2026-02-11', '2026-02-14',
+        'week', 0
+      ),
+      ['2026-02-08']
+    );
+  });
+
+  it('lists months', () => {
+    assert.deepEqual(
+      periodKeys(
+        '2025-12-15', '2026-02-01', 'month'
+      ),
+      ['2025-12', '2026-01', '2026-02']
+    );
+  });
+});
+
+describe('grid', () => {
+  const slices = [
+    {
+      session: SESSION_A,
+      project: 'my-app',
+      date: '2026-02-10',
+      seconds: 1800,
+    },
+    {
+      session: SESSION_A,
+      project: 'my-app',
+      date: '2026-02-11',
+      seconds: 900,
+    },
+    {
+      session: SESSION_B,
+      project: 'other-app',
+      date: '2026-02-11',
+      seconds: 3600,
+    },
+  ];
+  const grid = buildGrid(
+    slices,
+    (s) => s.project,
+    (s) => s.date,
+    ['2026-02-09', '2026-02-10',
+      '2026-02-11']
+  );
+
+  it('keeps pre-filled empty ' +
+     'columns', () => {
+    assert.deepEqual(grid.columns, [
+      '2026-02-09', '2026-02-10',
+      '2026-02-11',
+    ]);
+  });
+
+  it('sums rows and columns', () => {
+    assert.equal(
+      grid.rows.get('my-app').total, 2700
+    );
+    assert.equal(
+      grid.totals.cells.get('2026-02-11'),
+      4500
+    );
+    assert.equal(grid.totals.total, 6300);
+  });
+
+  it('converts to JSON sorted by ' +
+     'total', () => {
+    const json = gridJson(grid);
+    assert.deepEqual(
+      json.rows.map((r) => r.key),
+      ['other-app', 'my-app']
+    );
+    assert.deepEqual(json.rows[1].cells, {
+      '2026-02-10': 1800,
+      '2026-02-11': 900,
+    });
+    assert.equal(json.total, 6300);
+  });
+
+  it('renders CSV in decimal hours', () => {
+    assert.equal(
+      csvGrid('Project', grid),
+      'Project,2026-02-09,2026-02-10,' +
+      '2026-02-11,Total\n' +
+      'other-app,0.00,0.00,1.00,1.00\n' +
+      'my-app,0.00,0.50,0.25,0.75\n' +
+      'Total,0.00,0.50,1.25,1.75\n'
+    );
+  });
+
+  it('adds a Raw column for billed ' +
+     'cells', () => {
+    const billed = buildGrid(
+      slices.map((s) => ({
+        ...s, billed: 3600,
+      })),
+      (s) => s.project,
+      (s) => s.date,
+      ['2026-02-10', '2026-02-11'],
+      (s) => s.billed
+    );
+    assert.equal(
+      csvGrid('Project', billed, grid),
+      'Project,2026-02-10,2026-02-11,' +
+      'Total,Raw\n' +
+      'my-app,1.00,1.00,2.00,0.75\n' +
+      'other-app,0.00,1.00,1.00,1.00\n' +
+      'Total,1.00,2.00,3.00,1.75\n'
+    );
+  });
+
+  it('renders Markdown in decimal ' +
+     'hours', () => {
+    const md = mdGrid('Project', grid);
+    assert.match(
+      md,
+      /\| my-app \|  \| 0\.50 \| 0\.25 \| 0\.75 \|/
+    );
+    assert.match(md, /\*\*1\.75\*\*/);
+  });
+});
+
+describe('token cost', () => {
+  const prices = {
+    currency: 'USD',
+    models: {
+      'claude-opus-4': {
+        input: 15, output: 75,
+      },
+      'claude-opus-4-6': {
+        input: 5, output: 25,
+      },
+    },
+  };
+
+  it('matches the longest prefix', () => {
+    assert.equal(
+      priceFor(prices, 'claude-opus-4-6')
+        .input,
+      5
+    );
+    assert.equal(
+      priceFor(
+        prices, 'claude-opus-4-1-20250805'
+      ).input,
+      15
+    );
+    assert.equal(
+      priceFor(prices, 'claude-haiku-4-5'),
+      null
+    );
+    assert.equal(
+      priceFor(prices, 'constructor'),
+      null
+    );
+  });
+
+  it('prices slices per million', () => {
+    const slices = applyPrices([
+      {
+        model: 'claude-opus-4-1',
+        tokens: {
+          input: 1e6, output: 2e5,
+        },
+      },
+      {
+        model: 'claude-haiku-4-5',
+        tokens: { input: 10 },
+      },
+      { model: 'claude-opus-4-1' },
+    ], prices);
+    assert.equal(slices[0].cost, 30);
+    assert.equal(slices[1].cost, null);
+    assert.ok(!('cost' in slices[2]));
+  });
+
+  it('totals tokens and cost', () => {
+    const base = {
+      session: SESSION_A,
+      project: 'my-app',
+      seconds: 60,
+      isPrompt: false,
+    };
+    const groups = aggregate([
+      { ...base,
+        tokens: { input: 10, output: 5 },
+        cost: 1.5 },
+      { ...base,
+        tokens: { input: 1, output: 0 },
+        cost: null },
+      { ...base, project: 'other' },
+    ], (s) => s.project);
+    const g = groups.get('my-app');
+    assert.deepEqual(g.tokens, {
+      input: 11,
+      output: 5,
+      cacheRead: 0,
+      cacheWrite: 0,
+    });
+    assert.equal(g.cost, 1.5);
+    assert.equal(g.unpriced, true);
+    assert.ok(
+      !('tokens' in groups.get('other'))
+    );
+  });
+
+  it('formats token counts', () => {
+    assert.equal(fmtTokens(0), '0');
+    assert.equal(fmtTokens(950), '950');
+    assert.equal(fmtTokens(12345), '12.3k');
+    assert.equal(
+      fmtTokens(4500000), '4.5M'
+    );
+  });
+
+  it('adds token columns to CSV', () => {
+    const groups = new Map([
+      ['my-app', {
+        sessions: 1,
+        prompts: 2,
+        active: 3600,
+        tokens: {
+          input: 10,
+          output: 20,
+          cacheRead: 30,
+          cacheWrite: 40,
+        },
+        cost: 1.234,
+      }],
+    ]);
+    assert.equal(
+      csvGroup('Project', groups, {
+        tokens: true, cost: 'USD',
+      }),
+      'Project,Active,Hours,Sessions,' +
+      'Prompts,Input Tokens,' +
+      'Output Tokens,Cache Read Tokens,' +
+      'Cache Write Tokens,' +
+      'Est. Cost (USD)\n' +
+      'my-app,1h 00m,1.00,1,2,' +
+      '10,20,30,40,1.23\n'
+    );
+  });
+});